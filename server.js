@@ -5,6 +5,16 @@ const { Octokit } = require('@octokit/rest');
 const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs-extra');
+const Diff = require('diff');
+const crypto = require('crypto');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { Worker } = require('worker_threads');
+const cheerio = require('cheerio');
+const { parse } = require('@babel/parser');
 
 const app = express();
 const PORT = process.env.PORT || 8001;
@@ -12,638 +22,5114 @@ const PORT = process.env.PORT || 8001;
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
+// Initialize Supabase client (only when configured; the local storage backend doesn't need it).
+// The server uses the service-role key: the tables deny the anon role (supabase/migrations).
+const supabase = process.env.SUPABASE_URL
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } })
+  : null;
+
+// STORAGE
+// Records live in tables accessed through a backend with parameterized filters: `where`
+// maps columns to values (null meaning IS NULL) or to ranges such as { gte, lt }. Every
+// backend implements find(table, where, { columns, order, after, limit }), insert, update, upsert and remove.
+// `order` is one { column, ascending } or a list of them (later ones break ties); `after` holds
+// the order columns of a row and keeps only the rows sorting after it, for keyset paging.
+
+const RANGE_OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b
+};
+
+const isRange = (value) => value !== null && typeof value === 'object';
+
+const assertRange = (range) => {
+  for (const operator of Object.keys(range)) {
+    if (!RANGE_OPERATORS[operator]) throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const orderColumns = (order) => [].concat(order || []);
+
+// PostgREST filter values are quoted so timestamps and other punctuation survive `or` lists
+const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+const pickColumns = (row, columns) => (columns ? Object.fromEntries(columns.map(column => [column, row[column]])) : row);
+
+class SupabaseBackend {
+  constructor(client) {
+    this.client = client;
+  }
+
+  filter(query, where = {}) {
+    for (const [column, value] of Object.entries(where)) {
+      if (isRange(value)) {
+        assertRange(value);
+        for (const [operator, operand] of Object.entries(value)) query = query[operator](column, operand);
+      } else {
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+      }
+    }
+    return query;
+  }
+
+  // (a > x) OR (a = x AND b > y) ..., with < for descending columns
+  keyset(orders, after) {
+    return orders.map((order, index) => {
+      const ties = orders.slice(0, index).map(tie => `${tie.column}.eq.${quoteFilterValue(after[tie.column])}`);
+      const step = `${order.column}.${order.ascending === false ? 'lt' : 'gt'}.${quoteFilterValue(after[order.column])}`;
+      return ties.length ? `and(${[...ties, step].join(',')})` : step;
+    }).join(',');
+  }
+
+  async find(table, where, options = {}) {
+    const orders = orderColumns(options.order);
+    let query = this.filter(this.client.from(table).select(options.columns ? options.columns.join(', ') : '*'), where);
+    if (options.after) query = query.or(this.keyset(orders, options.after));
+    for (const order of orders) query = query.order(order.column, { ascending: order.ascending !== false });
+    if (options.limit) query = query.limit(options.limit);
+
+    const { data, error } = await query;
+    // A value that can't be cast to the column type (e.g. a malformed uuid) matches nothing
+    if (error && error.code === '22P02') return [];
+    if (error) throw error;
+    return data;
+  }
+
+  async insert(table, row) {
+    const { data, error } = await this.client.from(table).insert(row).select().single();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(table, where, patch) {
+    const { data, error } = await this.filter(this.client.from(table).update(patch), where).select();
+    if (error && error.code === '22P02') return [];
+    if (error) throw error;
+    return data;
+  }
+
+  async upsert(table, row, conflictColumns) {
+    const { data, error } = await this.client
+      .from(table)
+      .upsert(row, { onConflict: conflictColumns.join(',') })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async remove(table, where) {
+    const { error } = await this.filter(this.client.from(table).delete(), where);
+    if (error) throw error;
+  }
+}
+
+// One JSON file per table, held in memory and rewritten (atomically) after each change
+class LocalBackend {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.tables = new Map();
+    this.writes = new Map();
+  }
+
+  // The load promise is cached so concurrent first accesses share one array
+  rows(table) {
+    if (!this.tables.has(table)) {
+      const file = `${this.rootDir}/${table}.json`;
+      const load = fs.pathExists(file).then(exists => (exists ? fs.readJson(file) : []));
+      this.tables.set(table, load);
+      load.catch(() => this.tables.delete(table));
+    }
+    return this.tables.get(table);
+  }
+
+  // Writes to a table are chained so they land on disk in order
+  persist(table) {
+    const file = `${this.rootDir}/${table}.json`;
+    const write = (this.writes.get(table) || Promise.resolve()).then(async () => {
+      await fs.outputJson(`${file}.tmp`, await this.rows(table));
+      await fs.move(`${file}.tmp`, file, { overwrite: true });
+    });
+    this.writes.set(table, write.catch(() => {}));
+    return write;
+  }
+
+  matches(row, where = {}) {
+    return Object.entries(where).every(([column, value]) => {
+      if (value === null) return row[column] == null;
+      if (!isRange(value)) return row[column] === value;
+      assertRange(value);
+      return row[column] != null && Object.entries(value).every(([operator, operand]) => RANGE_OPERATORS[operator](row[column], operand));
+    });
+  }
+
+  compare(a, b, orders) {
+    for (const { column, ascending = true } of orders) {
+      const [x, y] = [a[column] ?? '', b[column] ?? ''];
+      if (x !== y) return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+    }
+    return 0;
+  }
+
+  async find(table, where, options = {}) {
+    const orders = orderColumns(options.order);
+    let rows = (await this.rows(table)).filter(row => this.matches(row, where));
+    if (options.after) rows = rows.filter(row => this.compare(row, options.after, orders) > 0);
+    if (orders.length) rows = [...rows].sort((a, b) => this.compare(a, b, orders));
+    if (options.limit) rows = rows.slice(0, options.limit);
+    return rows.map(row => pickColumns({ ...row }, options.columns));
+  }
+
+  async insert(table, row) {
+    const record = { id: uuidv4(), created_at: new Date().toISOString(), ...row };
+    (await this.rows(table)).push(record);
+    await this.persist(table);
+    return { ...record };
+  }
+
+  async update(table, where, patch) {
+    const updated = (await this.rows(table)).filter(row => this.matches(row, where));
+    updated.forEach(row => Object.assign(row, patch));
+    if (updated.length > 0) await this.persist(table);
+    return updated.map(row => ({ ...row }));
+  }
+
+  async upsert(table, row, conflictColumns) {
+    const key = Object.fromEntries(conflictColumns.map(column => [column, row[column]]));
+    const [existing] = await this.update(table, key, row);
+    return existing || this.insert(table, row);
+  }
+
+  async remove(table, where) {
+    const rows = await this.rows(table);
+    const kept = rows.filter(row => !this.matches(row, where));
+    rows.splice(0, rows.length, ...kept);
+    await this.persist(table);
+  }
+}
+
+// Table-level access shared by every repository
+class Repository {
+  constructor(backend, table) {
+    this.backend = backend;
+    this.table = table;
+  }
+
+  find(where, options) {
+    return this.backend.find(this.table, where, options);
+  }
+
+  async findOne(where, options = {}) {
+    const [row] = await this.backend.find(this.table, where, { ...options, limit: 1 });
+    return row || null;
+  }
+
+  get(id) {
+    return id ? this.findOne({ id: String(id) }) : Promise.resolve(null);
+  }
+
+  create(row) {
+    return this.backend.insert(this.table, row);
+  }
+
+  // Update matching records; returns the first one, or null when nothing matched
+  async update(where, patch) {
+    const [row] = await this.backend.update(this.table, typeof where === 'object' ? where : { id: where }, patch);
+    return row || null;
+  }
+
+  upsert(row, conflictColumns) {
+    return this.backend.upsert(this.table, row, conflictColumns);
+  }
+
+  remove(where) {
+    return this.backend.remove(this.table, where);
+  }
+}
+
+class ProjectRepository extends Repository {
+  // Projects are addressed by id or slug; two parameterized lookups instead of one `or` filter
+  async findByIdOrSlug(idOrSlug) {
+    const value = String(idOrSlug);
+    const byId = UUID_PATTERN.test(value) ? await this.get(value) : null;
+    return byId || this.findOne({ slug: value });
+  }
+}
+
+const createBackend = () => {
+  const backend = process.env.STORAGE_BACKEND || (supabase ? 'supabase' : 'local');
+  if (backend === 'supabase') {
+    if (!supabase) throw new Error('STORAGE_BACKEND=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    return new SupabaseBackend(supabase);
+  }
+  return new LocalBackend(process.env.STORAGE_DIR || './data/db');
+};
+
+const storage = createBackend();
+const db = {
+  projects: new ProjectRepository(storage, 'projects'),
+  sessions: new Repository(storage, 'chat_sessions'),
+  messages: new Repository(storage, 'chat_messages'),
+  changesets: new Repository(storage, 'changesets'),
+  runs: new Repository(storage, 'agent_runs'),
+  apiKeys: new Repository(storage, 'api_keys'),
+  githubCredentials: new Repository(storage, 'github_credentials'),
+  usage: new Repository(storage, 'usage_events'),
+  usageLimits: new Repository(storage, 'usage_limits')
+};
+
+// AUTHENTICATION
+// Requests authenticate with an API key (`Authorization: Bearer <key>` or `x-api-key`).
+// Keys are stored as SHA-256 hashes in the `api_keys` table, belong to one user and have a
+// `read` (GET only) or `write` scope; ADMIN_API_KEY grants access to everything plus /v1/admin.
+
+const API_KEY_SCOPES = ['read', 'write'];
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const PUBLIC_PATHS = ['/caps'];
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => `rk_${crypto.randomBytes(32).toString('base64url')}`;
+
+const isAdminKey = (key) => {
+  if (!process.env.ADMIN_API_KEY) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashApiKey(key), 'hex'), Buffer.from(hashApiKey(process.env.ADMIN_API_KEY), 'hex'));
+};
+
+const requestApiKey = (req) => {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  return (bearer ? bearer[1] : req.get('x-api-key') || '').trim();
+};
+
+const API_ERROR_TYPES = { 401: 'authentication_error', 403: 'permission_error', 429: 'rate_limit_error' };
+
+// The OpenAI-compatible endpoint reports errors in OpenAI's shape
+const sendApiError = (req, res, status, message) => {
+  if (req.originalUrl.startsWith('/v1/chat/completions')) {
+    return res.status(status).json({ error: { message, type: API_ERROR_TYPES[status] || 'api_error' } });
+  }
+  return res.status(status).json({ error: message });
+};
+
+const authenticate = async (req, res, next) => {
+  if (AUTH_DISABLED) {
+    req.auth = { userId: null, scope: 'write', admin: true };
+    return next();
+  }
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  const key = requestApiKey(req);
+  if (!key) return sendApiError(req, res, 401, 'Missing API key');
+  if (isAdminKey(key)) {
+    req.auth = { userId: null, scope: 'write', admin: true };
+    return next();
+  }
+
+  try {
+    const apiKey = await db.apiKeys.findOne({ key_hash: hashApiKey(key), revoked_at: null });
+    if (!apiKey) return sendApiError(req, res, 401, 'Invalid API key');
+    if (apiKey.scope !== 'write' && req.method !== 'GET' && req.method !== 'HEAD') {
+      return sendApiError(req, res, 403, 'This API key is read-only');
+    }
+
+    req.auth = { userId: apiKey.user_id, scope: apiKey.scope, admin: false, keyId: apiKey.id };
+    // Best effort; a failed timestamp update shouldn't fail the request
+    db.apiKeys.update(apiKey.id, { last_used_at: new Date().toISOString() })
+      .catch(error => console.error('API key usage update failed:', error.message));
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.auth || !req.auth.admin) return res.status(403).json({ error: 'Admin API key required' });
+  next();
+};
+
+const ownsProject = (auth, project) => auth.admin || (Boolean(project.user_id) && project.user_id === auth.userId);
+
+app.use('/v1', authenticate);
+
+// Every /v1/projects/:projectId route only sees projects owned by the caller; others look missing
+app.param('projectId', async (req, res, next, projectId) => {
+  try {
+    const project = await getProject(projectId);
+    if (!project || !ownsProject(req.auth, project)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    req.project = project;
+    next();
+  } catch (error) {
+    console.error('Project lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// USAGE AND LIMITS
+// Every LLM call is recorded in `usage_events` against the user, project and session it ran for.
+// Users are limited to a number of LLM-backed requests per minute and a monthly token quota;
+// defaults come from the environment and can be overridden per user in `usage_limits`.
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '30', 10);
+const MONTHLY_TOKEN_QUOTA = parseInt(process.env.MONTHLY_TOKEN_QUOTA || '0', 10); // 0 = unlimited
+
+const requestLog = new Map(); // userId -> recent request timestamps
+const monthlyTokens = new Map(); // userId -> { month, tokens }
+
+const limitError = (message, retryAfter) => {
+  const error = new Error(message);
+  error.status = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const getLimits = async (userId) => {
+  const override = await db.usageLimits.findOne({ user_id: userId });
+  return {
+    requests_per_minute: override?.requests_per_minute ?? RATE_LIMIT_PER_MINUTE,
+    monthly_token_quota: override?.monthly_token_quota ?? MONTHLY_TOKEN_QUOTA
+  };
+};
+
+const getMonthlyTokens = async (userId) => {
+  const month = monthStart().toISOString();
+  const cached = monthlyTokens.get(userId);
+  if (cached && cached.month === month) return cached.tokens;
+
+  const events = await db.usage.find({ user_id: userId, created_at: { gte: month } }, { columns: ['total_tokens'] });
+  const tokens = events.reduce((sum, event) => sum + (event.total_tokens || 0), 0);
+  monthlyTokens.set(userId, { month, tokens });
+  return tokens;
+};
+
+const assertWithinQuota = async (userId, limits) => {
+  if (!userId) return;
+  const { monthly_token_quota: quota } = limits || await getLimits(userId);
+  if (!quota) return;
+
+  const used = await getMonthlyTokens(userId);
+  if (used >= quota) {
+    const now = new Date();
+    const reset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    throw limitError(`Monthly token quota of ${quota} exhausted`, Math.ceil((reset - now) / 1000));
+  }
+};
+
+const recordUsage = async (account = {}, { provider, model, usage = {}, latencyMs, purpose }) => {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const totalTokens = usage.total_tokens || promptTokens + completionTokens;
+  const createdAt = new Date();
+
+  await db.usage.create({
+    user_id: account.userId || null,
+    project_id: account.projectId || null,
+    session_id: account.sessionId || null,
+    provider,
+    model,
+    purpose: purpose || null,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: totalTokens,
+    latency_ms: latencyMs,
+    created_at: createdAt.toISOString()
+  });
+
+  const cached = account.userId && monthlyTokens.get(account.userId);
+  if (cached && cached.month === monthStart(createdAt).toISOString()) cached.tokens += totalTokens;
+};
+
+// Applied to routes that call an LLM; admin keys and AUTH_DISABLED have no user to limit
+const rateLimit = async (req, res, next) => {
+  const userId = req.auth?.userId;
+  if (!userId) return next();
+
+  try {
+    const limits = await getLimits(userId);
+    const now = Date.now();
+    const recent = (requestLog.get(userId) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+    if (limits.requests_per_minute && recent.length >= limits.requests_per_minute) {
+      requestLog.set(userId, recent);
+      throw limitError(
+        `Rate limit of ${limits.requests_per_minute} requests per minute exceeded`,
+        Math.ceil((recent[0] + RATE_LIMIT_WINDOW_MS - now) / 1000)
+      );
+    }
+
+    await assertWithinQuota(userId, limits);
+    recent.push(now);
+    requestLog.set(userId, recent);
+    next();
+  } catch (error) {
+    if (error.status !== 429) {
+      console.error('Rate limit error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+    res.set('Retry-After', String(error.retryAfter));
+    sendApiError(req, res, 429, error.message);
+  }
+};
+
+const accountOf = (req, sessionId = null) => ({
+  userId: req.auth?.userId || req.project?.user_id || null,
+  projectId: req.project?.id || null,
+  sessionId
+});
+
+// LLM PROVIDERS
+// Every provider implements listModels() and complete(messages, options), taking OpenAI-style
+// messages (system/user/assistant, plus assistant `tool_calls` and `tool` results) and returning
+// an OpenAI-shaped { model, choices, usage }. Providers with `supportsTools` accept
+// `options.tools` as [{ name, description, parameters }] and may answer with tool calls.
+
+const mapStopReason = (stopReason) => {
+  if (stopReason === 'max_tokens' || stopReason === 'length') return 'length';
+  if (stopReason === 'tool_use' || stopReason === 'tool_calls') return 'tool_calls';
+  return 'stop';
+};
+
+// Rough token count for budgeting prompts (about 4 characters per token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const toUsage = (promptTokens = 0, completionTokens = 0) => ({
+  prompt_tokens: promptTokens,
+  completion_tokens: completionTokens,
+  total_tokens: promptTokens + completionTokens
+});
+
+const toCompletion = (model, content, finishReason, usage, toolCalls = []) => ({
+  model,
+  choices: [{
+    index: 0,
+    message: toolCalls.length > 0
+      ? { role: 'assistant', content, tool_calls: toolCalls }
+      : { role: 'assistant', content },
+    finish_reason: finishReason
+  }],
+  usage
+});
+
+const toToolCall = (id, name, args) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args || {}) }
+});
+
+const parseToolArguments = (args) => {
+  if (args && typeof args === 'object') return args;
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// Split a streamed HTTP body into lines, keeping partial lines buffered between chunks
+const readLines = async function* (stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) yield buffer;
+};
+
+const textOf = (content) => Array.isArray(content)
+  ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+  : String(content ?? '');
+
+// Convert OpenAI chat messages into an Anthropic system prompt + alternating turns of content blocks
+const toAnthropicMessages = (messages) => {
+  const systemParts = [];
+  const turns = [];
+  const push = (role, blocks) => {
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      turns.push({ role, content: blocks });
+    }
+  };
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      systemParts.push(textOf(msg.content));
+      continue;
+    }
+    if (msg.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: textOf(msg.content) }]);
+      continue;
+    }
+
+    const blocks = [];
+    const text = textOf(msg.content);
+    if (text) blocks.push({ type: 'text', text });
+    for (const call of msg.tool_calls || []) {
+      blocks.push({
+        type: 'tool_use',
+        id: call.id,
+        name: call.function.name,
+        input: parseToolArguments(call.function.arguments)
+      });
+    }
+    if (blocks.length > 0) push(msg.role === 'assistant' ? 'assistant' : 'user', blocks);
+  }
+
+  // Anthropic requires the conversation to open with a user turn
+  if (turns.length > 0 && turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: [{ type: 'text', text: '(continue)' }] });
+  }
+
+  return { system: systemParts.join('\n\n') || undefined, messages: turns };
+};
+
+class AnthropicProvider {
+  constructor({ apiKey }) {
+    this.name = 'anthropic';
+    this.supportsTools = true;
+    this.apiKey = apiKey;
+    this.defaultModel = 'claude-3-5-sonnet';
+    this.aliases = {
+      'claude-3-5-sonnet': 'claude-3-5-sonnet-20241022',
+      'claude-3-5-haiku': 'claude-3-5-haiku-20241022',
+      'claude-3-opus': 'claude-3-opus-20240229'
+    };
+    this.catalog = {
+      'claude-3-5-sonnet': { n_ctx: 200000, max_output_tokens: 8192, supports_tools: true, supports_multimodality: true, supports_streaming: true },
+      'claude-3-5-haiku': { n_ctx: 200000, max_output_tokens: 8192, supports_tools: true, supports_multimodality: false, supports_streaming: true },
+      'claude-3-opus': { n_ctx: 200000, max_output_tokens: 4096, supports_tools: true, supports_multimodality: true, supports_streaming: true }
+    };
+  }
+
+  async listModels() {
+    return this.catalog;
+  }
+
+  async complete(messages, options = {}) {
+    const model = options.model || this.defaultModel;
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    const body = {
+      model: this.aliases[model] || model,
+      max_tokens: options.max_tokens || (this.catalog[model] || {}).max_output_tokens || 4096,
+      messages: turns
+    };
+    if (system) body.system = system;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.stop) body.stop_sequences = Array.isArray(options.stop) ? options.stop : [options.stop];
+    if (options.tools && options.tools.length > 0) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      if (options.toolChoice === 'none') body.tool_choice = { type: 'none' };
+    }
+    if (options.stream) body.stream = true;
+
+    const response = await axios.post('https://api.anthropic.com/v1/messages', body, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      responseType: options.stream ? 'stream' : 'json',
+      signal: options.signal
+    });
+
+    if (options.stream) {
+      return this.readStream(response.data, options.onDelta);
+    }
+
+    const usage = response.data.usage || {};
+    return toCompletion(
+      response.data.model,
+      response.data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      mapStopReason(response.data.stop_reason),
+      toUsage(usage.input_tokens, usage.output_tokens),
+      response.data.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => toToolCall(block.id, block.name, block.input))
+    );
+  }
+
+  // Consume an Anthropic SSE stream, forwarding text deltas as they arrive
+  async readStream(stream, onDelta) {
+    let content = '';
+    let model = null;
+    let stopReason = null;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    const toolBlocks = {}; // content block index -> { id, name, json }
+
+    for await (const line of readLines(stream)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (!data) continue;
+
+      const event = JSON.parse(data);
+      switch (event.type) {
+        case 'message_start':
+          model = event.message.model;
+          usage.input_tokens = event.message.usage?.input_tokens || 0;
+          break;
+        case 'content_block_start':
+          if (event.content_block.type === 'tool_use') {
+            toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta.type === 'text_delta') {
+            content += event.delta.text;
+            if (onDelta) onDelta(event.delta.text);
+          } else if (event.delta.type === 'input_json_delta' && toolBlocks[event.index]) {
+            toolBlocks[event.index].json += event.delta.partial_json;
+          }
+          break;
+        case 'message_delta':
+          stopReason = event.delta.stop_reason || stopReason;
+          usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+          break;
+        case 'error':
+          throw new Error(event.error?.message || 'Anthropic stream error');
+      }
+    }
+
+    const toolCalls = Object.values(toolBlocks).map(block => toToolCall(block.id, block.name, block.json || '{}'));
+    return toCompletion(model, content, mapStopReason(stopReason), toUsage(usage.input_tokens, usage.output_tokens), toolCalls);
+  }
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, vLLM, LiteLLM, LM Studio, ...)
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, defaultModel, nCtx }) {
+    this.name = 'openai';
+    this.supportsTools = true;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.nCtx = nCtx;
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async listModels() {
+    const { data } = await axios.get(`${this.baseUrl}/models`, { headers: this.headers(), timeout: 5000 });
+    const models = {};
+    for (const model of data.data || []) {
+      models[model.id] = {
+        n_ctx: model.context_length || model.max_model_len || this.nCtx,
+        max_output_tokens: 4096,
+        supports_tools: true,
+        supports_multimodality: false,
+        supports_streaming: true
+      };
+    }
+    return models;
+  }
+
+  async complete(messages, options = {}) {
+    const body = {
+      model: options.model || this.defaultModel,
+      messages: messages.map(msg => {
+        const converted = { role: msg.role, content: msg.content == null ? null : textOf(msg.content) };
+        if (msg.tool_calls) converted.tool_calls = msg.tool_calls;
+        if (msg.tool_call_id) converted.tool_call_id = msg.tool_call_id;
+        return converted;
+      }),
+      max_tokens: options.max_tokens || 4096
+    };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.stop) body.stop = options.stop;
+    if (options.tools && options.tools.length > 0) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+      if (options.toolChoice === 'none') body.tool_choice = 'none';
+    }
+    if (options.stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers: this.headers(),
+      responseType: options.stream ? 'stream' : 'json',
+      signal: options.signal
+    });
+
+    if (!options.stream) {
+      const choice = response.data.choices[0];
+      const usage = response.data.usage || {};
+      return toCompletion(
+        response.data.model,
+        choice.message.content || '',
+        mapStopReason(choice.finish_reason),
+        toUsage(usage.prompt_tokens, usage.completion_tokens),
+        (choice.message.tool_calls || []).map(call => toToolCall(call.id, call.function.name, call.function.arguments))
+      );
+    }
+
+    let content = '';
+    let model = body.model;
+    let finishReason = null;
+    let usage = toUsage();
+    const toolCalls = []; // streamed tool calls arrive in pieces keyed by index
+    for await (const line of readLines(response.data)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') continue;
+
+      const chunk = JSON.parse(data);
+      model = chunk.model || model;
+      if (chunk.usage) usage = toUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) continue;
+      if (choice.delta && choice.delta.content) {
+        content += choice.delta.content;
+        if (options.onDelta) options.onDelta(choice.delta.content);
+      }
+      for (const piece of (choice.delta && choice.delta.tool_calls) || []) {
+        const call = toolCalls[piece.index] || (toolCalls[piece.index] = { id: piece.id, name: '', arguments: '' });
+        if (piece.id) call.id = piece.id;
+        if (piece.function && piece.function.name) call.name += piece.function.name;
+        if (piece.function && piece.function.arguments) call.arguments += piece.function.arguments;
+      }
+      finishReason = choice.finish_reason || finishReason;
+    }
+
+    return toCompletion(model, content, mapStopReason(finishReason), usage,
+      toolCalls.filter(Boolean).map(call => toToolCall(call.id, call.name, call.arguments)));
+  }
+}
+
+// A local Ollama server through its native /api/chat endpoint
+class OllamaProvider {
+  constructor({ baseUrl, defaultModel, nCtx }) {
+    this.name = 'ollama';
+    this.supportsTools = false;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.defaultModel = defaultModel;
+    this.nCtx = nCtx;
+  }
+
+  async listModels() {
+    const { data } = await axios.get(`${this.baseUrl}/api/tags`, { timeout: 5000 });
+    const models = {};
+    for (const model of data.models || []) {
+      models[model.name] = {
+        n_ctx: this.nCtx,
+        max_output_tokens: Math.min(4096, this.nCtx),
+        supports_tools: false,
+        supports_multimodality: false,
+        supports_streaming: true
+      };
+    }
+    return models;
+  }
+
+  async complete(messages, options = {}) {
+    const body = {
+      model: options.model || this.defaultModel,
+      messages: messages.map(msg => ({ role: msg.role, content: textOf(msg.content) })),
+      stream: Boolean(options.stream),
+      options: { num_ctx: this.nCtx }
+    };
+    if (options.max_tokens) body.options.num_predict = options.max_tokens;
+    if (options.temperature !== undefined) body.options.temperature = options.temperature;
+    if (options.stop) body.options.stop = Array.isArray(options.stop) ? options.stop : [options.stop];
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+      responseType: options.stream ? 'stream' : 'json',
+      signal: options.signal
+    });
+
+    if (!options.stream) {
+      const data = response.data;
+      return toCompletion(data.model, data.message.content, mapStopReason(data.done_reason),
+        toUsage(data.prompt_eval_count, data.eval_count));
+    }
+
+    // Streaming responses are newline-delimited JSON; the final line carries the token counts
+    let content = '';
+    let final = {};
+    for await (const line of readLines(response.data)) {
+      if (!line.trim()) continue;
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(chunk.error);
+      if (chunk.message && chunk.message.content) {
+        content += chunk.message.content;
+        if (options.onDelta) options.onDelta(chunk.message.content);
+      }
+      if (chunk.done) final = chunk;
+    }
+
+    return toCompletion(final.model || body.model, content, mapStopReason(final.done_reason),
+      toUsage(final.prompt_eval_count, final.eval_count));
+  }
+}
+
+// Deterministic scripted provider for offline development and tests. Replies are taken in
+// order from `responses` (strings, or { content, tool_calls: [{ name, arguments }] } objects),
+// except { match, response } rules which answer whenever they match the last user message.
+// Without a scripted reply the prompt is echoed back.
+class MockProvider {
+  constructor({ responses = [] } = {}) {
+    this.name = 'mock';
+    this.supportsTools = true;
+    this.callCount = 0;
+    this.defaultModel = 'mock-model';
+    this.responses = responses;
+  }
+
+  async listModels() {
+    return {
+      'mock-model': { n_ctx: 32000, max_output_tokens: 4096, supports_tools: true, supports_multimodality: false, supports_streaming: true }
+    };
+  }
+
+  enqueue(...responses) {
+    this.responses.push(...responses);
+  }
+
+  nextResponse(lastUserMessage) {
+    const ruleIndex = this.responses.findIndex(entry =>
+      typeof entry === 'object' && entry.match && new RegExp(entry.match).test(lastUserMessage));
+    if (ruleIndex !== -1) return this.responses[ruleIndex].response;
+
+    const queuedIndex = this.responses.findIndex(entry => typeof entry === 'string' || !entry.match);
+    if (queuedIndex !== -1) return this.responses.splice(queuedIndex, 1)[0];
+
+    return `Mock response to: ${lastUserMessage.slice(0, 200)}`;
+  }
+
+  async complete(messages, options = {}) {
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    const lastUserMessage = userMessages.length > 0 ? textOf(userMessages[userMessages.length - 1].content) : '';
+    const reply = this.nextResponse(lastUserMessage);
+    const content = typeof reply === 'string' ? reply : (reply.content || '');
+    const toolCalls = typeof reply === 'string' || options.toolChoice === 'none' ? [] : (reply.tool_calls || [])
+      .map(call => toToolCall(`call_${++this.callCount}`, call.name, call.arguments));
+
+    if (options.stream && options.onDelta) {
+      for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+        options.onDelta(piece);
+      }
+    }
+
+    const promptChars = messages.reduce((total, msg) => total + textOf(msg.content).length, 0);
+    return toCompletion(options.model || this.defaultModel, content, toolCalls.length > 0 ? 'tool_calls' : 'stop',
+      toUsage(Math.ceil(promptChars / 4), Math.ceil(content.length / 4)), toolCalls);
+  }
+}
+
+// Providers available to this deployment; AI_PROVIDER picks the default one
+const createProviders = () => {
+  const providers = {
+    anthropic: new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY }),
+    mock: new MockProvider({
+      responses: process.env.MOCK_LLM_RESPONSES ? fs.readJsonSync(process.env.MOCK_LLM_RESPONSES) : []
+    })
+  };
+
+  if (process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY) {
+    providers.openai = new OpenAICompatibleProvider({
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4o',
+      nCtx: parseInt(process.env.OPENAI_N_CTX, 10) || 128000
+    });
+  }
+
+  if (process.env.OLLAMA_BASE_URL || (process.env.AI_PROVIDER || '').toLowerCase() === 'ollama') {
+    providers.ollama = new OllamaProvider({
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      defaultModel: process.env.OLLAMA_MODEL || 'llama3.1',
+      nCtx: parseInt(process.env.OLLAMA_NUM_CTX, 10) || 8192
+    });
+  }
+
+  return providers;
+};
+
+const providers = createProviders();
+const DEFAULT_PROVIDER = (process.env.AI_PROVIDER || 'anthropic').toLowerCase();
+
+// Pick the provider and model for a call: an explicit `provider`, a `provider/model` model
+// name, or the deployment default
+const resolveProvider = ({ provider, model } = {}) => {
+  let name = provider ? provider.toLowerCase() : null;
+  if (!name && model && model.includes('/')) {
+    const prefix = model.slice(0, model.indexOf('/'));
+    if (providers[prefix]) {
+      name = prefix;
+      model = model.slice(prefix.length + 1);
+    }
+  }
+  name = name || DEFAULT_PROVIDER;
+
+  if (!providers[name]) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return { provider: providers[name], model: model || providers[name].defaultModel };
+};
+
+// WORKSPACE STORES
+// Snapshots of a workspace keyed by project and the commit SHA they were loaded at.
+// Every store implements save(workspace), load(projectId, headSha?) and list(projectId).
+
+const snapshotOf = (workspace) => ({
+  project_id: workspace.id,
+  head_sha: workspace.headSha,
+  ref: workspace.ref || null,
+  branch: workspace.branch || null,
+  owner: workspace.owner,
+  repo: workspace.repo,
+  files: workspace.files,
+  blobs: workspace.blobs || {},
+  skipped: workspace.skipped || [],
+  filters: workspace.filters || null,
+  created_at: new Date().toISOString()
+});
+
+const workspaceFromSnapshot = (snapshot) => ({
+  id: snapshot.project_id,
+  owner: snapshot.owner,
+  repo: snapshot.repo,
+  branch: snapshot.branch || undefined,
+  ref: snapshot.ref || undefined,
+  headSha: snapshot.head_sha,
+  files: snapshot.files || {},
+  blobs: snapshot.blobs || {},
+  skipped: snapshot.skipped || [],
+  filters: snapshot.filters || undefined
+});
+
+class LocalWorkspaceStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  projectDir(projectId) {
+    return `${this.rootDir}/${encodeURIComponent(projectId)}`;
+  }
+
+  async readIndex(projectId) {
+    const indexPath = `${this.projectDir(projectId)}/index.json`;
+    return (await fs.pathExists(indexPath)) ? fs.readJson(indexPath) : [];
+  }
+
+  async save(workspace) {
+    if (!workspace.headSha) return null;
+    const snapshot = snapshotOf(workspace);
+    const dir = this.projectDir(workspace.id);
+
+    await fs.outputJson(`${dir}/${snapshot.head_sha}.json`, snapshot);
+    const index = (await this.readIndex(workspace.id)).filter(entry => entry.head_sha !== snapshot.head_sha);
+    index.push({
+      head_sha: snapshot.head_sha,
+      ref: snapshot.ref,
+      branch: snapshot.branch,
+      file_count: Object.keys(snapshot.files).length,
+      created_at: snapshot.created_at
+    });
+    await fs.outputJson(`${dir}/index.json`, index, { spaces: 2 });
+
+    return index[index.length - 1];
+  }
+
+  async load(projectId, headSha) {
+    if (!headSha) {
+      const index = await this.readIndex(projectId);
+      if (index.length === 0) return null;
+      headSha = index[index.length - 1].head_sha;
+    }
+    const snapshotPath = `${this.projectDir(projectId)}/${headSha}.json`;
+    if (!(await fs.pathExists(snapshotPath))) return null;
+    return workspaceFromSnapshot(await fs.readJson(snapshotPath));
+  }
+
+  async list(projectId) {
+    return (await this.readIndex(projectId)).reverse();
+  }
+}
+
+class SupabaseWorkspaceStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async save(workspace) {
+    if (!workspace.headSha) return null;
+    const { data, error } = await this.client
+      .from('workspace_snapshots')
+      .upsert(snapshotOf(workspace), { onConflict: 'project_id,head_sha' })
+      .select('head_sha, ref, branch, created_at')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async load(projectId, headSha) {
+    let query = this.client
+      .from('workspace_snapshots')
+      .select('*')
+      .eq('project_id', projectId);
+    query = headSha
+      ? query.eq('head_sha', headSha)
+      : query.order('created_at', { ascending: false });
+
+    const { data } = await query.limit(1);
+    return data && data.length > 0 ? workspaceFromSnapshot(data[0]) : null;
+  }
+
+  async list(projectId) {
+    const { data, error } = await this.client
+      .from('workspace_snapshots')
+      .select('head_sha, ref, branch, created_at')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+const createWorkspaceStore = () => {
+  if (process.env.WORKSPACE_STORE === 'supabase') {
+    if (!supabase) throw new Error('WORKSPACE_STORE=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    return new SupabaseWorkspaceStore(supabase);
+  }
+  return new LocalWorkspaceStore(process.env.WORKSPACE_DIR || './data/workspaces');
+};
+
+// SIMPLIFIED AGENT TOOLS IMPLEMENTATION
+
+// Budgets for the tool-use loop of a single agent run
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS, 10) || 12;
+const AGENT_TOKEN_BUDGET = parseInt(process.env.AGENT_TOKEN_BUDGET, 10) || 150000;
+const TOOL_RESULT_LIMIT = 20000; // characters of a tool result fed back to the model
+// Repair prompts sent when a model reply is not valid JSON of the expected shape
+const STRUCTURED_OUTPUT_RETRIES = process.env.STRUCTURED_OUTPUT_RETRIES !== undefined
+  ? parseInt(process.env.STRUCTURED_OUTPUT_RETRIES, 10) || 0
+  : 2;
+
+class RefactAgent {
+  constructor({ store, runs } = {}) {
+    this.tools = {
+      search: this.searchCodebase.bind(this),
+      tree: this.getFileTree.bind(this),
+      cat: this.readFiles.bind(this),
+      locate: this.locateFiles.bind(this),
+      definition: this.findDefinitions.bind(this),
+      references: this.findReferences.bind(this),
+      patch: this.applyPatch.bind(this),
+      think: this.planTask.bind(this),
+      web: this.fetchWebContent.bind(this)
+    };
+    this.workspaces = new Map(); // In-process cache of project workspaces
+    this.store = store; // Persistent workspace snapshots
+    this.runs = runs; // Agent run history
+  }
+
+  // Line-based search with regex/whole-word modes, path globs and surrounding context.
+  // Files are ranked by match density (matching lines per line of file).
+  async searchCodebase(query, projectId, options = {}) {
+    const workspace = this.workspaces.get(projectId);
+    const result = { query, total_matches: 0, truncated: false, results: [] };
+    if (!workspace || !query) return result;
+
+    const pattern = buildSearchPattern(query, options);
+    const contextLines = options.contextLines !== undefined ? options.contextLines : 2;
+    const maxPerFile = options.maxPerFile || 20;
+    const maxResults = options.maxResults || 200;
+    const include = options.include && options.include.length > 0 ? options.include : null;
+    const exclude = options.exclude && options.exclude.length > 0 ? options.exclude : null;
+
+    const files = Object.entries(workspace.files).filter(([filePath]) =>
+      (!include || matchesGlobs(filePath, include)) && !(exclude && matchesGlobs(filePath, exclude)));
+    // Regular expressions can backtrack catastrophically, so they run under a time budget
+    const hits = options.regex
+      ? await matchLinesInWorker(pattern, files)
+      : files.map(([, content]) => matchingLines(pattern, content));
+
+    files.forEach(([filePath, content], fileIndex) => {
+      const lines = content.split('\n');
+      const matches = [];
+      let matchCount = 0;
+      hits[fileIndex].forEach(index => {
+        const line = lines[index];
+        matchCount++;
+        if (matches.length < maxPerFile) {
+          matches.push({
+            line: index + 1,
+            text: line,
+            before: lines.slice(Math.max(0, index - contextLines), index),
+            after: lines.slice(index + 1, index + 1 + contextLines)
+          });
+        }
+      });
+
+      if (matchCount > 0) {
+        result.total_matches += matchCount;
+        result.results.push({
+          file: filePath,
+          match_count: matchCount,
+          density: Number((matchCount / lines.length).toFixed(4)),
+          truncated: matchCount > matches.length,
+          matches
+        });
+      }
+    });
+
+    result.results.sort((a, b) => b.density - a.density || b.match_count - a.match_count);
+
+    // Apply the overall cap after ranking so the densest files keep their matches
+    let remaining = maxResults;
+    result.results = result.results.filter(file => {
+      if (remaining <= 0) return false;
+      if (file.matches.length > remaining) {
+        file.matches = file.matches.slice(0, remaining);
+        file.truncated = true;
+      }
+      remaining -= file.matches.length;
+      return true;
+    });
+    result.truncated = result.results.some(file => file.truncated) ||
+      result.results.reduce((total, file) => total + file.match_count, 0) < result.total_matches;
+
+    return result;
+  }
+
+  // Nested directory tree; file leaves list the file's top-level symbols
+  async getFileTree(projectId) {
+    const workspace = this.workspaces.get(projectId);
+    if (!workspace) return {};
+
+    const index = this.getSymbolIndex(projectId);
+    const tree = {};
+    for (const filePath of Object.keys(workspace.files)) {
+      const parts = filePath.split('/');
+      const fileName = parts.pop();
+      let current = tree;
+      for (const part of parts) {
+        if (!current[part]) {
+          current[part] = {};
+        }
+        current = current[part];
+      }
+      const entry = index.files[filePath];
+      current[fileName] = entry ? entry.symbols.map(describeSymbol) : [];
+    }
+    return tree;
+  }
+
+  // Symbol index of a workspace, built on first use and kept current by applyPatch
+  getSymbolIndex(projectId) {
+    const workspace = this.workspaces.get(projectId);
+    if (!workspace) return null;
+    if (!workspace.symbolIndex) {
+      workspace.symbolIndex = { files: {} };
+      this.updateSymbolIndex(workspace, Object.keys(workspace.files));
+    }
+    return workspace.symbolIndex;
+  }
+
+  updateSymbolIndex(workspace, changedFiles) {
+    const index = workspace.symbolIndex;
+    if (!index) return;
+
+    for (const file of changedFiles) {
+      if (workspace.files[file] === undefined || !isCodeFile(file)) {
+        delete index.files[file];
+      } else {
+        index.files[file] = extractSymbols(file, workspace.files[file]);
+      }
+    }
+    // Added or deleted files can change where any import points
+    const paths = workspacePaths(workspace);
+    for (const [file, entry] of Object.entries(index.files)) {
+      for (const imported of entry.imports) {
+        imported.resolved = resolveImportPath(file, imported.source, paths);
+      }
+    }
+  }
+
+  async findDefinitions(symbol, projectId) {
+    const index = this.getSymbolIndex(projectId);
+    if (!index) return [];
+
+    const definitions = [];
+    for (const [file, entry] of Object.entries(index.files)) {
+      for (const candidate of entry.symbols) {
+        if (candidate.name === symbol) definitions.push({ file, ...candidate });
+      }
+    }
+    return definitions;
+  }
+
+  // Files importing a symbol (directly, as default or through a namespace) and the lines using it
+  async findReferences(symbol, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    if (!workspace) return { symbol, definitions: [], references: [] };
+
+    const index = this.getSymbolIndex(projectId);
+    const definitions = await this.findDefinitions(symbol, projectId);
+    const definedIn = new Map(definitions.map(definition => [definition.file, definition]));
+
+    const usages = (file, localName, skipLine) => {
+      const pattern = buildSearchPattern(localName, { wholeWord: true, caseSensitive: true });
+      return workspace.files[file].split('\n')
+        .map((text, i) => ({ line: i + 1, text: text.trim() }))
+        .filter(({ line, text }) => line !== skipLine && pattern.test(text));
+    };
+
+    const references = [];
+    for (const [file, entry] of Object.entries(index.files)) {
+      for (const imported of entry.imports) {
+        const definition = definedIn.get(imported.resolved);
+        if (!definition) continue;
+        for (const specifier of imported.specifiers) {
+          const matches = specifier.imported === symbol ||
+            (specifier.imported === 'default' && definition.default) ||
+            specifier.imported === '*';
+          if (!matches || specifier.local === '*') continue;
+
+          const localName = specifier.imported === '*' ? `${specifier.local}.${symbol}` : specifier.local;
+          const lines = usages(file, localName, imported.line);
+          if (specifier.imported === '*' && !lines.length) continue;
+          references.push({ file, imported_as: localName, import_line: imported.line, lines });
+        }
+      }
+    }
+
+    // Uses inside the defining files themselves
+    for (const definition of definitions) {
+      const lines = usages(definition.file, symbol, definition.line);
+      if (lines.length) references.push({ file: definition.file, imported_as: null, import_line: null, lines });
+    }
+
+    return { symbol, definitions, references };
+  }
+
+  // Current content of each file, null for files that don't exist
+  fileContents(files, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    return Object.fromEntries(files.map(file => [file, workspace && workspace.files[file] !== undefined ? workspace.files[file] : null]));
+  }
+
+  // Blob SHA of each file in the workspace (null for files that don't exist yet)
+  fileBlobs(files, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    const blobs = workspace && workspace.blobs ? workspace.blobs : {};
+    return Object.fromEntries(files.map(file => [file, blobs[file] || null]));
+  }
+
+  async readFiles(files, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    if (!workspace) return {};
+    
+    const result = {};
+    for (const file of files) {
+      if (workspace.files[file]) {
+        result[file] = workspace.files[file];
+      }
+    }
+    return result;
+  }
+
+  // Rank files for a task: BM25 over file contents plus path and symbol-name matches,
+  // then a boost for files imported by the entry component or by the best matches
+  async locateFiles(taskDescription, projectId, options = {}) {
+    const workspace = this.workspaces.get(projectId);
+    if (!workspace) return [];
+
+    const terms = [...new Set(tokenize(taskDescription).flatMap(term => [term, ...(TERM_ALIASES[term] || [])]))];
+    if (!terms.length) return [];
+    const termSet = new Set(terms);
+    const mentioned = new Set(taskDescription.toLowerCase().match(/[a-z0-9_$]+/g) || []);
+    const index = this.getSymbolIndex(projectId);
+
+    const documents = Object.entries(workspace.files).map(([file, content]) => {
+      const tokens = tokenize(content);
+      const entry = index.files[file];
+      return {
+        file,
+        counts: countTerms(tokens),
+        length: tokens.length,
+        pathTerms: new Set(tokenize(file)),
+        symbols: entry ? entry.symbols.filter(symbol => symbol.name !== 'default') : []
+      };
+    });
+    if (!documents.length) return [];
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+    const idf = {};
+    for (const term of terms) {
+      const frequency = documents.filter(doc => doc.counts.has(term) || doc.pathTerms.has(term)).length;
+      idf[term] = Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5));
+    }
+
+    const scored = new Map();
+    for (const doc of documents) {
+      let score = 0;
+      const reasons = [];
+
+      const contentHits = [];
+      for (const term of terms) {
+        const tf = doc.counts.get(term) || 0;
+        if (!tf) continue;
+        score += idf[term] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        contentHits.push(`${term} (${tf})`);
+      }
+      if (contentHits.length) reasons.push(`content: ${contentHits.join(', ')}`);
+
+      const pathHits = terms.filter(term => doc.pathTerms.has(term));
+      for (const term of pathHits) score += idf[term] * PATH_WEIGHT;
+      if (pathHits.length) reasons.push(`path: ${pathHits.join(', ')}`);
+
+      const symbolHits = [];
+      for (const symbol of doc.symbols) {
+        const overlap = tokenize(symbol.name).filter(term => termSet.has(term));
+        if (!overlap.length) continue;
+        const exact = mentioned.has(symbol.name.toLowerCase()) ? 2 : 1;
+        score += Math.max(...overlap.map(term => idf[term])) * SYMBOL_WEIGHT * exact;
+        symbolHits.push(symbol.name);
+      }
+      if (symbolHits.length) reasons.push(`defines ${symbolHits.join(', ')}`);
+
+      if (score > 0) scored.set(doc.file, { file: doc.file, score, reasons });
+    }
+    if (!scored.size) return [];
+
+    const ranked = [...scored.values()].sort((a, b) => b.score - a.score);
+    const boost = (importer, amount) => {
+      const entry = index.files[importer];
+      if (!entry) return;
+      for (const imported of entry.imports) {
+        // Imports of assets and files that were not loaded can't be suggested
+        if (!imported.resolved || imported.resolved === importer || workspace.files[imported.resolved] === undefined) continue;
+        const target = scored.get(imported.resolved) || { file: imported.resolved, score: 0, reasons: [] };
+        const reason = `imported by ${importer}`;
+        if (target.reasons.includes(reason)) continue;
+        target.score += amount;
+        target.reasons.push(reason);
+        scored.set(target.file, target);
+      }
+    };
+    const entryFile = findEntryFile(workspace.files);
+    if (entryFile) boost(entryFile, ranked[0].score * 0.15);
+    for (const match of ranked.slice(0, 3)) boost(match.file, match.score * 0.25);
+
+    const results = [...scored.values()].sort((a, b) => b.score - a.score);
+    const top = results[0].score;
+    return results.slice(0, options.limit || LOCATE_DEFAULT_LIMIT).map(result => ({
+      file: result.file,
+      relevance: Math.round(result.score / top * 1000) / 1000,
+      explanation: result.reasons.join('; ')
+    }));
+  }
+
+  // Turn diff/edit changes into whole-file changes, verifying their context against the workspace
+  resolveChanges(changes, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    const original = workspace ? workspace.files : {};
+    const files = { ...original };
+    const touched = new Set();
+    const conflicts = [];
+
+    for (const change of changes) {
+      const current = files[change.file];
+
+      if (change.type === 'diff') {
+        let patched = false;
+        try {
+          patched = Diff.applyPatch(current || '', change.diff || '');
+        } catch (error) {
+          conflicts.push({ file: change.file, type: 'diff', reason: error.message });
+          continue;
+        }
+        if (patched === false) {
+          conflicts.push({
+            file: change.file,
+            type: 'diff',
+            reason: 'Diff context does not match the current file content',
+            diff: change.diff
+          });
+          continue;
+        }
+        files[change.file] = patched;
+
+      } else if (change.type === 'edit') {
+        if (current === undefined) {
+          conflicts.push({ file: change.file, type: 'edit', reason: 'File does not exist in the workspace' });
+          continue;
+        }
+
+        let content = current;
+        let conflict = null;
+        (change.edits || []).some((edit, index) => {
+          const matches = edit.search ? content.split(edit.search).length - 1 : 0;
+          if (matches !== 1) {
+            conflict = {
+              file: change.file,
+              type: 'edit',
+              reason: matches === 0 ? 'Search block not found' : `Search block matches ${matches} locations`,
+              edit_index: index,
+              search: edit.search
+            };
+            return true;
+          }
+          content = content.replace(edit.search, () => edit.replace || '');
+          return false;
+        });
+        if (conflict) {
+          conflicts.push(conflict);
+          continue;
+        }
+        files[change.file] = content;
+
+      } else if (change.type === 'delete') {
+        delete files[change.file];
+      } else {
+        files[change.file] = change.content || '';
+      }
+
+      touched.add(change.file);
+    }
+
+    // Collapse to one whole-file change per touched path
+    const resolved = [];
+    for (const file of touched) {
+      if (files[file] === undefined) {
+        if (original[file] !== undefined) resolved.push({ type: 'delete', file });
+      } else {
+        resolved.push({
+          type: original[file] === undefined ? 'create' : 'update',
+          file,
+          content: files[file]
+        });
+      }
+    }
+
+    return { resolved, conflicts };
+  }
+
+  // Ask the model to regenerate only the files whose patches failed to apply
+  async repairConflicts(taskDescription, changes, conflicts, projectId, options = {}) {
+    const workspace = this.workspaces.get(projectId);
+    const failedFiles = [...new Set(conflicts.map(conflict => conflict.file))];
+    const retained = changes.filter(change => !failedFiles.includes(change.file));
+    const regenerated = [];
+
+    for (const file of failedFiles) {
+      const fileConflicts = conflicts.filter(conflict => conflict.file === file);
+      const current = workspace && workspace.files[file] !== undefined
+        ? workspace.files[file]
+        : '(file does not exist yet)';
+
+      const proposed = changes.find(change => change.file === file && typeof change.content === 'string');
+
+      const repairPrompt = `Your previous change to ${file} was rejected while working on this task:
+
+Task: ${taskDescription}
+
+Problems: ${JSON.stringify(fileConflicts, null, 2)}
+
+Current content of ${file}:
+${current}
+${proposed ? `
+Your proposed content of ${file}:
+${proposed.content}
+` : ''}
+Regenerate the change for ${file} only. Respond with valid JSON:
+{"changes": [{"type": "update", "file": "${file}", "content": "full new file content"}]}`;
+
+      const messages = [{ role: 'user', content: repairPrompt }];
+      const llm = { provider: options.provider, model: options.model, account: options.account, signal: options.signal };
+      const response = await this.callLLM(messages, { ...llm, purpose: 'repair' });
+      const parsed = await this.parseWithRepair(response.choices[0].message.content, CHANGES_SCHEMA, messages, llm);
+      if (parsed.errors.length > 0) {
+        console.error(`Failed to parse regenerated change for ${file}:`, parsed.errors.join('; '));
+        continue;
+      }
+      regenerated.push(...parsed.value.changes.filter(change => change.file === file));
+    }
+
+    const result = this.resolveChanges([...retained, ...regenerated], projectId);
+    // Files the model could not regenerate at all keep their original conflicts
+    for (const file of failedFiles) {
+      if (!regenerated.some(change => change.file === file)) {
+        result.conflicts.push(...conflicts.filter(conflict => conflict.file === file));
+      }
+    }
+    return result;
+  }
+
+  // Check whole-file changes against the workspace they would produce: syntax of source
+  // files, JSON validity, relative imports and packages missing from package.json.
+  // Imports a file already had are only flagged when the changes break them.
+  validateChanges(changes, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    const original = workspace ? workspace.files : {};
+    const originalPaths = workspace ? workspacePaths(workspace) : new Set();
+    const files = { ...original };
+    const paths = workspace ? workspacePaths(workspace) : new Set();
+    for (const change of changes) {
+      if (change.type === 'delete') {
+        delete files[change.file];
+        paths.delete(change.file);
+      } else {
+        files[change.file] = change.content;
+        paths.add(change.file);
+      }
+    }
+
+    const issues = [];
+    for (const change of changes) {
+      const { file, content } = change;
+      if (change.type === 'delete') continue;
+
+      if (file.endsWith('.json')) {
+        try {
+          JSON.parse(content);
+        } catch (error) {
+          issues.push({ file, type: 'json', reason: error.message });
+        }
+        continue;
+      }
+      if (!isCodeFile(file)) continue;
+
+      try {
+        parseSource(file, content, { errorRecovery: false });
+      } catch (error) {
+        issues.push({ file, type: 'syntax', reason: error.message });
+        continue;
+      }
+
+      const previous = original[file] !== undefined ? extractSymbols(file, original[file]).imports : [];
+      const previousSources = new Set(previous.map(imported => imported.source));
+      const previousPackages = new Set(previous.map(imported => packageNameOf(imported.source)));
+      const manifest = nearestPackageJson(file, files);
+      const dependencies = manifest ? declaredDependencies(files[manifest]) : null;
+      for (const imported of extractSymbols(file, content).imports) {
+        const packageName = packageNameOf(imported.source);
+        if (imported.source.startsWith('.')) {
+          const broken = !resolveImportPath(file, imported.source, paths)
+            && (!previousSources.has(imported.source) || resolveImportPath(file, imported.source, originalPaths));
+          if (broken) {
+            issues.push({ file, type: 'import', reason: `Cannot resolve '${imported.source}' (line ${imported.line})` });
+          }
+        } else if (packageName && dependencies && !dependencies.has(packageName) && !previousPackages.has(packageName)) {
+          issues.push({ file, type: 'dependency', reason: `'${packageName}' is imported but not listed in ${manifest}` });
+        }
+      }
+    }
+
+    // Unchanged files that import a file being deleted
+    const deleted = changes.filter(change => change.type === 'delete').map(change => change.file);
+    const index = deleted.length ? this.getSymbolIndex(projectId) : null;
+    for (const [file, entry] of Object.entries(index ? index.files : {})) {
+      if (changes.some(change => change.file === file)) continue;
+      for (const imported of entry.imports) {
+        if (deleted.includes(imported.resolved)) {
+          issues.push({ file, type: 'import', reason: `Imports '${imported.source}', which is being deleted`, deleted: imported.resolved });
+        }
+      }
+    }
+    return issues;
+  }
+
+  // Drop changes until the rest validates; dropping a file can break files importing it
+  dropInvalidChanges(changes, projectId) {
+    const issues = [];
+    let remaining = changes;
+    let found = this.validateChanges(remaining, projectId);
+    while (found.length > 0) {
+      issues.push(...found);
+      const dropped = new Set(found.flatMap(issue => [issue.file, issue.deleted].filter(Boolean)));
+      remaining = remaining.filter(change => !dropped.has(change.file));
+      found = remaining.length ? this.validateChanges(remaining, projectId) : [];
+    }
+    return { changes: remaining, issues };
+  }
+
+  async applyPatch(changes, projectId, githubToken, options = {}) {
+    const workspace = this.workspaces.get(projectId);
+    if (!workspace) throw new Error('Workspace not found');
+
+    const { resolved, conflicts } = this.resolveChanges(changes, projectId);
+    for (const conflict of conflicts) {
+      console.error(`Skipping conflicting patch for ${conflict.file}:`, conflict.reason);
+    }
+    changes = resolved;
+    if (changes.length === 0 || options.signal?.aborted) return [];
+    assertWritableWorkspace(workspace);
+
+    // Commit every change to GitHub as a single commit
+    const octokit = new Octokit({ auth: githubToken });
+    const commit = await commitTreeToBranch(octokit, workspace.owner, workspace.repo, {
+      branch: options.branch || workspace.branch,
+      baseBranch: options.baseBranch,
+      changes,
+      message: buildCommitMessage(options.message, changes)
+    });
+    if (options.onEvent) options.onEvent('commit', { sha: commit.sha, files: changes.map(change => change.file) });
+    // Commits to another branch than the workspace's never show up in it
+    if (options.branch && options.branch !== workspace.branch) return [commit.sha];
+    workspace.branch = commit.branch;
+    workspace.headSha = commit.sha;
+
+    // Only mirror the changes into the workspace once GitHub has accepted them
+    workspace.blobs = workspace.blobs || {};
+    for (const change of changes) {
+      if (change.type === 'delete') {
+        delete workspace.files[change.file];
+        delete workspace.blobs[change.file];
+        workspace.skipped = (workspace.skipped || []).filter(entry => entry.file !== change.file);
+      } else {
+        workspace.files[change.file] = change.content;
+        workspace.blobs[change.file] = gitBlobSha(change.content);
+      }
+    }
+    this.updateSymbolIndex(workspace, changes.map(change => change.file));
+    if (this.store && !workspace.transient) {
+      await this.store.save(workspace);
+    }
+
+    return [commit.sha];
+  }
+
+  // Per-file unified diffs of proposed changes against the current workspace
+  diffChanges(changes, projectId) {
+    const workspace = this.workspaces.get(projectId);
+    const files = workspace ? workspace.files : {};
+
+    return changes.map(change => {
+      const before = files[change.file] || '';
+      const after = change.type === 'delete' ? '' : (change.content || '');
+      return {
+        file: change.file,
+        type: change.type,
+        diff: Diff.createTwoFilesPatch(`a/${change.file}`, `b/${change.file}`, before, after)
+      };
+    });
+  }
+
+  // Structured definitions of the read-only tools the model may call during a run.
+  // `patch` is not exposed: changes come back as the final answer so they can be
+  // verified, reviewed (auto_approve) and committed in one place.
+  toolDefinitions() {
+    return [
+      {
+        name: 'search',
+        description: 'Search workspace files line by line; returns line numbers with surrounding context, densest files first',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Text (or regular expression with regex: true) to search for' },
+            regex: { type: 'boolean', description: 'Treat query as a JavaScript regular expression' },
+            whole_word: { type: 'boolean', description: 'Only match whole words' },
+            case_sensitive: { type: 'boolean' },
+            include: { type: 'array', items: { type: 'string' }, description: 'Path globs to search, e.g. src/**/*.jsx' },
+            exclude: { type: 'array', items: { type: 'string' }, description: 'Path globs to skip' },
+            context_lines: { type: 'integer', description: 'Lines of context around each match (default 2)' }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'tree',
+        description: 'Get the file tree of the workspace, with the top-level symbols of each source file',
+        parameters: { type: 'object', properties: {} }
+      },
+      {
+        name: 'cat',
+        description: 'Read the full content of one or more workspace files',
+        parameters: {
+          type: 'object',
+          properties: { files: { type: 'array', items: { type: 'string' }, description: 'File paths' } },
+          required: ['files']
+        }
+      },
+      {
+        name: 'locate',
+        description: 'Rank the files most relevant to a task description, with the reason each one matched',
+        parameters: {
+          type: 'object',
+          properties: {
+            task: { type: 'string' },
+            limit: { type: 'integer', description: 'How many files to return (default 10)' }
+          },
+          required: ['task']
+        }
+      },
+      {
+        name: 'definition',
+        description: 'Find where a function, component, class, variable or type is declared',
+        parameters: {
+          type: 'object',
+          properties: { symbol: { type: 'string', description: 'Symbol name, e.g. TodoList' } },
+          required: ['symbol']
+        }
+      },
+      {
+        name: 'references',
+        description: 'Find the files that import a symbol and the lines where it is used',
+        parameters: {
+          type: 'object',
+          properties: { symbol: { type: 'string' } },
+          required: ['symbol']
+        }
+      },
+      {
+        name: 'web',
+        description: 'Fetch a public web page, e.g. library documentation, as Markdown. Long pages are split into pages',
+        parameters: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            page: { type: 'integer', description: 'Page of the content to read (default 1)' }
+          },
+          required: ['url']
+        }
+      },
+      {
+        name: 'think',
+        description: 'Break a complex sub-problem down into an execution plan',
+        parameters: {
+          type: 'object',
+          properties: { task: { type: 'string' } },
+          required: ['task']
+        }
+      }
+    ];
+  }
+
+  async executeToolCall(name, args, projectId, options = {}) {
+    switch (name) {
+      case 'search':
+        return this.searchCodebase(args.query || '', projectId, searchOptionsFrom(args));
+      case 'tree':
+        return this.getFileTree(projectId);
+      case 'cat':
+        return this.readFiles(Array.isArray(args.files) ? args.files : [args.files].filter(Boolean), projectId);
+      case 'locate':
+        return this.locateFiles(args.task || '', projectId, { limit: parseInt(args.limit, 10) || undefined });
+      case 'definition':
+        return this.findDefinitions(args.symbol || '', projectId);
+      case 'references':
+        return this.findReferences(args.symbol || '', projectId);
+      case 'web':
+        return this.fetchWebContent(args.url, { page: args.page });
+      case 'think':
+        return this.planTask(args.task || '', {
+          provider: options.provider,
+          model: options.model,
+          account: options.account,
+          signal: options.signal
+        });
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Multi-turn tool use: call the model, run the tools it asks for and feed the results
+  // back until it answers without tool calls or the step/token budget runs out, in which
+  // case it is asked for its final answer one last time.
+  async runToolLoop(messages, projectId, options = {}) {
+    const emit = options.emit || (() => {});
+    const tools = options.tools || [];
+    const maxSteps = options.maxSteps || AGENT_MAX_STEPS;
+    const tokenBudget = options.tokenBudget || AGENT_TOKEN_BUDGET;
+    const transcript = [];
+    const usage = toUsage();
+    const toolCalls = new Map(); // tool_call_id -> step and tool, for the context report
+    const trimmed = new Set();
+    let stopReason = 'final_answer';
+
+    for (let step = 1; ; step++) {
+      const exhausted = tools.length > 0 && (step >= maxSteps || usage.total_tokens >= tokenBudget);
+      if (exhausted) {
+        stopReason = step >= maxSteps ? 'step_budget' : 'token_budget';
+        messages.push({ role: 'user', content: 'Tool budget exhausted. Respond now with your final JSON answer, without calling any more tools.' });
+      }
+
+      // Tool results pile up over the steps; the oldest make way once they outgrow the window
+      const cut = trimToolResults(messages, options.contextBudget || Infinity, trimmed);
+      if (cut.length > 0 && options.report) {
+        for (const { message, tokens } of cut) {
+          options.report.cut.push({ kind: 'tool_result', ...toolCalls.get(message.tool_call_id), tokens });
+        }
+        emit('context', options.report);
+      }
+
+      const response = await this.callLLM(messages, {
+        provider: options.provider,
+        model: options.model,
+        account: options.account,
+        purpose: 'agent',
+        max_tokens: options.max_tokens,
+        tools,
+        toolChoice: exhausted ? 'none' : undefined,
+        stream: options.stream,
+        signal: options.signal,
+        onDelta: (text) => emit('delta', { text })
+      });
+      usage.prompt_tokens += response.usage.prompt_tokens;
+      usage.completion_tokens += response.usage.completion_tokens;
+      usage.total_tokens += response.usage.total_tokens;
+
+      const message = response.choices[0].message;
+      transcript.push({ step, role: 'assistant', content: message.content, tool_calls: message.tool_calls });
+      if (!message.tool_calls || message.tool_calls.length === 0 || exhausted) {
+        return { content: message.content, transcript, usage, steps: step, stopReason };
+      }
+
+      messages.push(message);
+      for (const call of message.tool_calls) {
+        if (options.signal?.aborted) throw new Error('Agent run aborted');
+        const args = parseToolArguments(call.function.arguments);
+        emit('understanding', { step, tool: call.function.name, arguments: args });
+
+        let output;
+        try {
+          output = await this.executeToolCall(call.function.name, args, projectId, options);
+        } catch (error) {
+          output = { error: error.message };
+        }
+        let text = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+        if (text.length > TOOL_RESULT_LIMIT) {
+          text = `${text.slice(0, TOOL_RESULT_LIMIT)}\n... (truncated ${text.length - TOOL_RESULT_LIMIT} characters)`;
+        }
+
+        transcript.push({ step, role: 'tool', name: call.function.name, arguments: args, result: text });
+        toolCalls.set(call.id, { step, tool: call.function.name });
+        messages.push({ role: 'tool', tool_call_id: call.id, content: text });
+      }
+    }
+  }
+
+  // Fixed context gathering from the plan's understanding steps, for providers without tool use
+  async gatherPlannedContext(plan, taskDescription, projectId, emit) {
+    const context = {};
+    for (const step of plan.understanding || []) {
+      switch (step.tool) {
+        case 'tree':
+          context.fileTree = await this.getFileTree(projectId);
+          break;
+        case 'cat':
+          context.files = await this.readFiles(step.target ? step.target.split(',') : [], projectId);
+          break;
+        case 'search':
+          context.searchResults = await this.searchCodebase(step.target || '', projectId);
+          break;
+        case 'locate':
+          context.relevantFiles = await this.locateFiles(step.target || taskDescription, projectId);
+          break;
+      }
+      emit('understanding', { step: step.step, tool: step.tool, target: step.target });
+    }
+    return context;
+  }
+
+  async planTask(taskDescription, options = {}) {
+    const planningPrompt = `You are an expert software architect. Break down this task into a detailed execution plan:
+
+Task: ${taskDescription}
+
+Create a step-by-step plan that includes:
+1. Understanding phase (what files to examine, what context to gather)
+2. Planning phase (what changes are needed, dependencies, potential issues)  
+3. Execution phase (specific code changes, file operations, testing)
+
+Respond with a structured plan in JSON format:
+{
+  "understanding": [{"step": "...", "tool": "tree|cat|search|locate", "target": "..."}],
+  "planning": [{"analysis": "...", "dependencies": [...], "risks": [...]}],
+  "execution": [{"action": "...", "files": [...], "changes": "..."}]
+}`;
+
+    const messages = [{ role: 'user', content: planningPrompt }];
+    const response = await this.callLLM(messages, { ...options, purpose: 'plan' });
+    const parsed = await this.parseWithRepair(response.choices[0].message.content, PLAN_SCHEMA, messages, options);
+    if (parsed.errors.length > 0) {
+      return { error: "Failed to parse plan", validation_errors: parsed.errors, raw: parsed.raw };
+    }
+    return parsed.value;
+  }
+
+  // Fit the task, plan and gathered context into `budget` tokens. Whole files go first in
+  // order of relevance; files that don't fit fall back to their symbol outline, then come
+  // search snippets. Returns the prompt text and a report of what was included and cut.
+  buildExecutionContext(taskDescription, plan, gathered, projectId, budget) {
+    const workspace = this.workspaces.get(projectId) || { files: {} };
+    const report = { budget_tokens: budget, used_tokens: 0, included: [], cut: [] };
+    const sections = [];
+    const add = (item, text, force = false) => {
+      const entry = { ...item, tokens: estimateTokens(text) };
+      if (!force && report.used_tokens + entry.tokens > budget) {
+        report.cut.push(entry);
+        return false;
+      }
+      report.used_tokens += entry.tokens;
+      report.included.push(entry);
+      sections.push(text);
+      return true;
+    };
+
+    add({ kind: 'task' }, `Execute this task:\n\nTask: ${taskDescription}`, true);
+    // Compact JSON when the indented plan doesn't fit
+    const planText = `Plan: ${JSON.stringify(plan, null, 2)}`;
+    add({ kind: 'plan' }, estimateTokens(planText) <= budget - report.used_tokens ? planText : `Plan: ${JSON.stringify(plan)}`);
+    if (!gathered) return { content: sections.join('\n\n'), report };
+
+    // Files the plan asked to read outrank anything located
+    const scores = new Map();
+    for (const match of gathered.relevantFiles || []) scores.set(match.file, match.relevance);
+    for (const file of Object.keys(gathered.files || {})) scores.set(file, 1 + (scores.get(file) || 0));
+    const ranked = [...scores.entries()]
+      .filter(([file]) => workspace.files[file] !== undefined)
+      .sort((a, b) => b[1] - a[1]);
+
+    const included = new Set();
+    const outlined = [];
+    for (const [file, score] of ranked) {
+      if (add({ kind: 'file', file, score }, `--- ${file} ---\n${workspace.files[file]}`)) {
+        included.add(file);
+      } else {
+        outlined.push([file, score]);
+      }
+    }
+
+    if (gathered.fileTree) {
+      add({ kind: 'tree' }, `Workspace files:\n${Object.keys(workspace.files).sort().join('\n')}`);
+    }
+
+    const index = this.getSymbolIndex(projectId);
+    for (const [file, score] of outlined) {
+      const entry = index && index.files[file];
+      if (!entry || entry.symbols.length === 0) continue;
+      add({ kind: 'outline', file, score }, `--- ${file} (outline only; the full file did not fit) ---\n${entry.symbols.map(describeSymbol).join('\n')}`);
+    }
+
+    for (const result of (gathered.searchResults && gathered.searchResults.results) || []) {
+      if (included.has(result.file)) continue;
+      add({ kind: 'snippets', file: result.file }, renderSnippets(result));
+    }
+
+    return { content: sections.join('\n\n'), report };
+  }
+
+  // Parse a model reply as JSON matching `schema`; while it doesn't, quote the problems
+  // back to the model and ask again, up to STRUCTURED_OUTPUT_RETRIES times
+  async parseWithRepair(content, schema, messages, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : STRUCTURED_OUTPUT_RETRIES;
+    const usage = toUsage();
+    let raw = content;
+    let parsed = parseStructuredOutput(raw, schema);
+    let attempts = 0;
+
+    while (parsed.errors.length > 0 && attempts < retries && !options.signal?.aborted) {
+      attempts++;
+      if (options.emit) options.emit('repair', { attempt: attempts, errors: parsed.errors });
+      messages = [
+        ...messages,
+        { role: 'assistant', content: raw || '(empty response)' },
+        {
+          role: 'user',
+          content: `Your response could not be used:
+${parsed.errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY the corrected JSON, without code fences or commentary.`
+        }
+      ];
+      const response = await this.callLLM(messages, {
+        provider: options.provider,
+        model: options.model,
+        account: options.account,
+        purpose: 'repair',
+        signal: options.signal
+      });
+      if (response.usage) {
+        usage.prompt_tokens += response.usage.prompt_tokens;
+        usage.completion_tokens += response.usage.completion_tokens;
+        usage.total_tokens += response.usage.total_tokens;
+      }
+      raw = response.choices[0].message.content;
+      parsed = parseStructuredOutput(raw, schema);
+    }
+
+    return { value: parsed.value, errors: parsed.errors, raw, attempts, usage };
+  }
+
+  // Readable Markdown of a public web page, cached per URL and served in pages
+  async fetchWebContent(url, options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    try {
+      let entry = webCache.get(url);
+      if (!entry || entry.expires < Date.now()) {
+        const fetched = await safeFetch(url);
+        const { title, markdown } = readableContent(fetched);
+        entry = {
+          expires: Date.now() + WEB_CACHE_TTL_MS,
+          title,
+          markdown: fetched.truncated ? `${markdown}\n\n(page truncated at ${WEB_FETCH_MAX_BYTES} bytes)` : markdown
+        };
+        webCache.delete(url);
+        webCache.set(url, entry);
+        if (webCache.size > WEB_CACHE_MAX_ENTRIES) webCache.delete(webCache.keys().next().value);
+      }
+
+      const pages = Math.max(Math.ceil(entry.markdown.length / WEB_PAGE_SIZE), 1);
+      if (page > pages) return `Error fetching ${url}: page ${page} is past the last page (${pages})`;
+      const content = entry.markdown.slice((page - 1) * WEB_PAGE_SIZE, page * WEB_PAGE_SIZE);
+      const header = [entry.title && `# ${entry.title}`, `Source: ${url}`, `Page ${page} of ${pages}`].filter(Boolean).join('\n');
+      const footer = page < pages ? `\n\n(Continued on page ${page + 1}; call web again with page: ${page + 1})` : '';
+      return `${header}\n\n${content}${footer}`;
+    } catch (error) {
+      return `Error fetching ${url}: ${error.message}`;
+    }
+  }
+
+  async callLLM(prompt, options = {}) {
+    // Accept either a plain prompt or an already role-separated message list
+    const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+    const { provider, model } = resolveProvider(options);
+    // Quotas are checked before every call, not just per request, so long agent runs stop too
+    await assertWithinQuota(options.account?.userId);
+
+    const startedAt = Date.now();
+    const result = await provider.complete(
+      options.system ? [{ role: 'system', content: options.system }, ...messages] : messages,
+      { ...options, model }
+    );
+    await recordUsage(options.account, {
+      provider: provider.name,
+      model: result.model || model,
+      usage: result.usage,
+      latencyMs: Date.now() - startedAt,
+      purpose: options.purpose
+    }).catch(error => console.error('Usage recording failed:', error.message));
+    return { ...result, provider: provider.name };
+  }
+
+  // Every invocation is kept as a run record: created when it starts, completed with its
+  // outcome (or the error that ended it) when it returns
+  async executeAgentWorkflow(taskDescription, projectId, githubToken, options = {}) {
+    // Identifies the run in results, changesets and chat messages
+    const runId = uuidv4();
+    const startedAt = new Date();
+    const account = options.account || {};
+    const record = async (fields) => {
+      if (!this.runs) return;
+      try {
+        await (fields.status === 'running' ? this.runs.create({ id: runId, ...fields }) : this.runs.update(runId, fields));
+      } catch (error) {
+        console.error('Run history update failed:', error.message);
+      }
+    };
+    const finished = () => ({ finished_at: new Date().toISOString(), duration_ms: Date.now() - startedAt.getTime() });
+
+    await record({
+      project_id: projectId,
+      session_id: account.sessionId || null,
+      user_id: account.userId || null,
+      task: taskDescription,
+      branch: options.branch || null,
+      base_branch: options.baseBranch || null,
+      status: 'running',
+      started_at: startedAt.toISOString()
+    });
+
+    let result;
+    try {
+      // Pull request runs read and commit through their feature branch's workspace
+      result = await this.runWorkflow(runId, taskDescription, options.workspaceId || projectId, githubToken, options);
+    } catch (error) {
+      await record({ status: options.signal?.aborted ? 'aborted' : 'failed', error: error.message, ...finished() });
+      throw error;
+    }
+
+    await record({
+      status: !result.success ? 'failed' : result.pending ? 'pending' : 'completed',
+      plan: result.plan || null,
+      changes: result.changes || [],
+      reasoning: result.reasoning || null,
+      commits: result.commits || [],
+      files: result.files || [],
+      usage: result.usage || null,
+      steps: result.steps || null,
+      error: result.error || null,
+      ...finished()
+    });
+    return result;
+  }
+
+  async runWorkflow(runId, taskDescription, projectId, githubToken, options = {}) {
+    // Progress events are only emitted when a caller (e.g. the SSE route) listens for them
+    const emit = options.onEvent || (() => {});
+    const checkAborted = () => {
+      if (options.signal?.aborted) throw new Error('Agent run aborted');
+    };
+
+    // 1. Planning phase
+    const llm = { provider: options.provider, model: options.model, account: options.account };
+    const plan = await this.planTask(taskDescription, { ...llm, signal: options.signal });
+    console.log('Agent Plan:', plan);
+    emit('plan', plan);
+    checkAborted();
+    
+    // 2. Understanding + execution: the model explores the workspace with tools until it
+    // is ready to answer with the changes
+    const { provider, model } = resolveProvider(llm);
+    const context = provider.supportsTools
+      ? null
+      : await this.gatherPlannedContext(plan, taskDescription, projectId, emit);
+    checkAborted();
+
+    const systemPrompt = `You are an autonomous coding agent with GitHub commit capabilities working in a React + Tailwind CSS project.
+${provider.supportsTools ? `
+Use the tools to inspect the workspace (tree, locate, search, cat) and documentation (web) before changing anything. Read every file you intend to edit first.
+` : ''}
+When you are done, respond with ONLY valid JSON in this format:
+
+{
+  "changes": [
+    {"type": "create", "file": "src/components/Hero.jsx", "content": "import React from 'react';\\n\\nconst Hero = () => {\\n  return (\\n    <div>Hero Component</div>\\n  );\\n};\\n\\nexport default Hero;"},
+    {"type": "edit", "file": "src/App.jsx", "edits": [{"search": "import React from 'react';", "replace": "import React from 'react';\\nimport Hero from './components/Hero';"}]},
+    {"type": "diff", "file": "src/index.css", "diff": "@@ -1,2 +1,3 @@\\n @tailwind base;\\n+@tailwind components;\\n @tailwind utilities;\\n"}
+  ],
+  "reasoning": "Created Hero component, imported it in App.jsx and enabled Tailwind components"
+}
+
+Change types: "create" and "update" carry the full file content, "delete" removes a file, "edit" applies search/replace blocks (each "search" must match the current file exactly once) and "diff" applies unified-diff hunks with exact context lines. For existing files prefer "edit" or "diff" so unrelated lines stay untouched; use "update" only when rewriting most of a file.
+
+Make actual working React components with Tailwind CSS that can be directly applied to GitHub.`;
+
+    // Whatever the window leaves after the system prompt and the model's answer
+    const limits = await getModelLimits(provider, model);
+    const outputTokens = Math.min(limits.max_output_tokens, Math.floor(limits.n_ctx / 2));
+    const contextBudget = Math.max(limits.n_ctx - outputTokens - CONTEXT_SAFETY_MARGIN, 0);
+    const budget = Math.max(contextBudget - estimateTokens(systemPrompt), 0);
+    const execution = this.buildExecutionContext(taskDescription, plan, context, projectId, budget);
+    emit('context', execution.report);
+    const taskMessage = { role: 'user', content: execution.content };
+    const loop = await this.runToolLoop([
+      { role: 'system', content: systemPrompt },
+      taskMessage
+    ], projectId, {
+      ...llm,
+      // The answer gets the room kept back from the context budget, and no more
+      max_tokens: outputTokens,
+      tools: provider.supportsTools ? this.toolDefinitions() : [],
+      maxSteps: options.maxSteps,
+      tokenBudget: options.tokenBudget,
+      contextBudget,
+      report: execution.report,
+      stream: Boolean(options.onEvent),
+      signal: options.signal,
+      emit
+    });
+    checkAborted();
+
+    const run = {
+      run_id: runId,
+      context: execution.report,
+      transcript: loop.transcript,
+      usage: loop.usage,
+      steps: loop.steps,
+      stop_reason: loop.stopReason
+    };
+    
+    // Repairs continue from the task alone; the tool-use turns are not replayed
+    const parsed = await this.parseWithRepair(loop.content, CHANGES_SCHEMA, [
+      { role: 'system', content: systemPrompt },
+      taskMessage
+    ], { ...llm, signal: options.signal, emit });
+    checkAborted();
+    for (const key of Object.keys(run.usage)) run.usage[key] += parsed.usage[key];
+    run.repairs = parsed.attempts;
+    if (parsed.errors.length > 0) {
+      return {
+        success: false,
+        error: "Failed to parse agent response",
+        validation_errors: parsed.errors,
+        raw: parsed.raw,
+        plan: plan,
+        ...run
+      };
+    }
+    const result = parsed.value;
+    
+    // Apply the patches
+    if (result.changes && result.changes.length > 0) {
+      let { resolved, conflicts } = this.resolveChanges(result.changes, projectId);
+      if (conflicts.length > 0) {
+        conflicts.forEach(conflict => emit('conflict', conflict));
+        ({ resolved, conflicts } = await this.repairConflicts(taskDescription, result.changes, conflicts, projectId, options));
+        checkAborted();
+      }
+      if (resolved.length === 0) {
+        return { success: false, error: "Generated changes could not be applied", conflicts, plan: plan, ...run };
+      }
+
+      // Files that fail validation get one fix round; whatever is still broken is left out
+      let validationIssues = this.validateChanges(resolved, projectId);
+      if (validationIssues.length > 0) {
+        validationIssues.forEach(issue => emit('validation', issue));
+        const repaired = await this.repairConflicts(taskDescription, resolved, validationIssues, projectId, options);
+        checkAborted();
+        // Files the model did not regenerate come back with their original issues
+        const unrepaired = repaired.conflicts.filter(conflict => validationIssues.includes(conflict));
+        conflicts = [...conflicts, ...repaired.conflicts.filter(conflict => !validationIssues.includes(conflict))];
+        const checked = this.dropInvalidChanges(repaired.resolved, projectId);
+        resolved = checked.changes;
+        validationIssues = [...unrepaired, ...checked.issues];
+      }
+      if (resolved.length === 0) {
+        return {
+          success: false,
+          error: "Generated changes failed validation",
+          conflicts,
+          validation_issues: validationIssues,
+          plan: plan,
+          ...run
+        };
+      }
+      result.changes = resolved;
+
+      result.changes.forEach(change => emit('change', { type: change.type, file: change.file }));
+
+      // Without auto-approval the changes are only proposed; the caller persists them for review
+      if (options.autoApprove === false) {
+        return {
+          success: true,
+          pending: true,
+          changes: result.changes,
+          reasoning: result.reasoning,
+          diffs: this.diffChanges(result.changes, projectId),
+          baseBlobs: this.fileBlobs(result.changes.map(change => change.file), projectId),
+          conflicts,
+          validation_issues: validationIssues,
+          commits: [],
+          plan: plan,
+          ...run
+        };
+      }
+
+      const before = this.fileContents(result.changes.map(change => change.file), projectId);
+      const commits = await this.applyPatch(result.changes, projectId, githubToken, {
+        ...options,
+        message: result.reasoning
+      });
+      return {
+        success: true,
+        changes: result.changes,
+        reasoning: result.reasoning,
+        commits: commits,
+        files: commits.length > 0 ? fileHistory(before, result.changes) : [],
+        conflicts,
+        validation_issues: validationIssues,
+        plan: plan,
+        ...run
+      };
+    }
+    
+    return { success: false, error: "No changes generated", response: loop.content, plan: plan, ...run };
+  }
+}
+
+// Initialize agent
+const agent = new RefactAgent({ store: createWorkspaceStore(), runs: db.runs });
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    service: 'refact-agent-full',
+    version: '3.0.0',
+    features: ['agent-tools', 'autonomous-patching', 'github-integration', 'supabase-chat'],
+    agent_tools: Object.keys(agent.tools),
+    timestamp: new Date().toISOString() 
+  });
+});
+
+// Enhanced capabilities
+app.get('/v1/caps', async (req, res) => {
+  // Model capabilities come from each configured provider; models of the default
+  // provider are listed by name, the others as `provider/model`
+  const chatModels = {};
+  for (const [name, provider] of Object.entries(providers)) {
+    let models;
+    try {
+      models = await provider.listModels();
+    } catch (error) {
+      console.error(`Could not list models for provider ${name}:`, error.message);
+      continue;
+    }
+    for (const [modelName, caps] of Object.entries(models)) {
+      chatModels[name === DEFAULT_PROVIDER ? modelName : `${name}/${modelName}`] = {
+        ...caps,
+        provider: name,
+        supports_agent: true
+      };
+    }
+  }
+
+  const defaultProvider = providers[DEFAULT_PROVIDER];
+  res.json({
+    "chat_models": chatModels,
+    "chat_default_model": defaultProvider ? defaultProvider.defaultModel : null,
+    "providers": Object.keys(providers),
+    "default_provider": DEFAULT_PROVIDER,
+    "features": {
+      "github": true,
+      "persistent_chat": true,
+      "autonomous_patching": true,
+      "agent_tools": true
+    },
+    "agent_tools": {
+      "search": "Text, regex or whole-word code search with line numbers and context",
+      "tree": "Get file tree with symbols",
+      "cat": "Read multiple files", 
+      "locate": "Rank relevant files for tasks, with explanations",
+      "definition": "Find where a symbol is declared",
+      "references": "Find imports and uses of a symbol",
+      "patch": "Apply changes to files and commit to GitHub",
+      "think": "Analyze complex problems and create execution plans",
+      "web": "Fetch public web pages as Markdown, paginated and cached"
+    },
+    "version": "3.0.0"
+  });
+});
+
+// OpenAI-compatible chat completions for Refact-style clients
+app.post('/v1/chat/completions', rateLimit, async (req, res) => {
+  const { messages, provider, temperature, max_tokens, stop, stream = false } = req.body;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({
+      error: { message: 'messages must be a non-empty array', type: 'invalid_request_error' }
+    });
+  }
+
+  // Echo the requested model name back; fall back to the provider default
+  let model;
+  try {
+    model = req.body.model || resolveProvider({ provider }).model;
+    resolveProvider({ provider, model });
+  } catch (error) {
+    return res.status(400).json({ error: { message: error.message, type: 'invalid_request_error' } });
+  }
+
+  const id = `chatcmpl-${uuidv4()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const options = { provider, model, temperature, max_tokens, stop, account: accountOf(req), purpose: 'completion' };
+
+  if (!stream) {
+    try {
+      const result = await agent.callLLM(messages, options);
+      return res.json({
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: result.choices,
+        usage: result.usage
+      });
+    } catch (error) {
+      console.error('Chat completion error:', error.message);
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return sendApiError(req, res, error.status || error.response?.status || 500, error.message);
+    }
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const sendChunk = (delta, finish_reason = null) => {
+    res.write(`data: ${JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason }]
+    })}\n\n`);
+  };
+
+  try {
+    sendChunk({ role: 'assistant', content: '' });
+    const result = await agent.callLLM(messages, {
+      ...options,
+      stream: true,
+      signal: controller.signal,
+      onDelta: (text) => sendChunk({ content: text })
+    });
+    sendChunk({}, result.choices[0].finish_reason);
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Chat completion stream error:', error.message);
+      const type = API_ERROR_TYPES[error.status] || 'api_error';
+      res.write(`data: ${JSON.stringify({ error: { message: error.message, type } })}\n\n`);
+    }
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+});
+
+// Create new project with workspace
+app.post('/v1/projects/create', async (req, res) => {
+  try {
+    const { project_name, github_token, complexity = 'simple' } = req.body;
+    // Projects belong to the key's user; only admin keys may create them for someone else
+    const userId = req.auth.admin ? req.body.user_id || null : req.auth.userId;
+    
+    const slug = project_name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+    
+    // Create GitHub repository. Installation tokens can't act as a user, so App credentials
+    // create it in the organization the App is installed on.
+    const credential = await getGitHubCredential(userId);
+    const octokit = new Octokit({ auth: await resolveGitHubToken(userId, github_token) });
+    const repoOptions = {
+      name: slug,
+      description: `${complexity} app created with Refact Agent`,
+      private: false,
+      auto_init: true
+    };
+    let repo;
+    if (credential && credential.type === 'app') {
+      const org = await installationOrganization(credential.installation_id);
+      if (!org) {
+        return res.status(400).json({ error: 'A GitHub App installed on a personal account cannot create repositories; register a personal access token or install the App on an organization' });
+      }
+      repo = await octokit.repos.createInOrg({ org, ...repoOptions });
+    } else {
+      repo = await octokit.repos.createForAuthenticatedUser(repoOptions);
+    }
+    
+    // Store project
+    const project = await db.projects.create({
+      name: project_name,
+      slug: slug,
+      complexity,
+      github_repo: repo.data.html_url,
+      github_clone_url: repo.data.clone_url,
+      owner: repo.data.owner.login,
+      repo_name: slug,
+      user_id: userId
+    });
+
+    // Create workspace for agent
+    agent.workspaces.set(project.id, {
+      id: project.id,
+      owner: repo.data.owner.login,
+      repo: slug,
+      branch: repo.data.default_branch,
+      files: {},
+      blobs: {}
+    });
+
+    // Generate initial project structure
+    const projectStructure = generateProjectStructure(complexity);
+    
+    // Add to workspace
+    agent.workspaces.get(project.id).files = projectStructure;
+    
+    // Commit initial files
+    await commitFilesToRepo(octokit, repo.data.owner.login, slug, projectStructure);
+    
+    res.json({
+      project_id: project.id,
+      project_slug: project.slug,
+      github_repo_url: repo.data.html_url,
+      clone_url: repo.data.clone_url,
+      complexity,
+      agent_ready: true,
+      initial_structure: Object.keys(projectStructure)
+    });
+    
+  } catch (error) {
+    console.error('Project creation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// AUTONOMOUS AGENT CHAT - Full capabilities
+app.post('/v1/projects/:projectId/agent', rateLimit, async (req, res) => {
+  try {
+    const {
+      task, github_token, auto_approve = false, stream = false, session_id,
+      mode = 'direct', ref, provider, model, max_steps, token_budget
+    } = req.body;
+    if (typeof task !== 'string' || !task.trim()) {
+      return res.status(400).json({ error: 'task is required' });
+    }
+    
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, github_token);
+    if (session_id && !(await getProjectSession(project, session_id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (ref && isCommitSha(ref)) {
+      return res.status(400).json({ error: 'Agent runs commit to a branch; pass a branch name as ref' });
+    }
+
+    assertWritableWorkspace(await syncWorkspace(project, githubToken, { ref }));
+
+    // In pull request mode the run commits to a feature branch instead of the default branch
+    const target = mode === 'pull_request'
+      ? await preparePullRequestTarget(project, session_id, task, githubToken)
+      : null;
+    const runOptions = {
+      provider,
+      model,
+      account: accountOf(req, session_id || null),
+      maxSteps: max_steps,
+      tokenBudget: token_budget,
+      autoApprove: auto_approve,
+      branch: target ? target.branch : undefined,
+      baseBranch: target ? target.baseBranch : undefined,
+      workspaceId: target ? target.workspaceId : undefined
+    };
+
+    if (stream) {
+      // Stream progress as Server-Sent Events; closing the connection aborts the run
+      const send = openEventStream(res);
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+
+      try {
+        const result = await agent.executeAgentWorkflow(task, project.id, githubToken, {
+          ...runOptions,
+          onEvent: send,
+          signal: controller.signal
+        });
+        send(result.success ? 'done' : 'error', await finalizeAgentResult(task, result, project, session_id, target, githubToken));
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Agent stream error:', error);
+          send('error', { error: error.message });
+        }
+      }
+      return res.end();
+    }
+
+    // Execute autonomous agent workflow
+    const result = await agent.executeAgentWorkflow(task, project.id, githubToken, runOptions);
+    
+    res.json(await finalizeAgentResult(task, result, project, session_id, target, githubToken));
+
+  } catch (error) {
+    console.error('Agent execution error:', error);
+    if (res.headersSent) return res.end();
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message, conflicts: error.conflicts });
+  }
+});
+
+// Helper functions
+const getProject = (projectId) => db.projects.findByIdOrSlug(projectId);
+
+const ensureWorkspace = async (project, githubToken, options = {}) => {
+  if (!agent.workspaces.has(project.id)) {
+    // Restore the latest persisted snapshot, or load workspace from GitHub
+    let workspace = await agent.store.load(project.id);
+    if (!workspace) {
+      const octokit = new Octokit({ auth: githubToken });
+      workspace = await loadWorkspaceFromGitHub(octokit, project, options);
+      await agent.store.save(workspace);
+    }
+    agent.workspaces.set(project.id, workspace);
+  }
+  return agent.workspaces.get(project.id);
+};
+
+// Make sure the workspace matches the branch head on GitHub before an agent run.
+// A `ref` other than the workspace's switches to it (a saved snapshot for a commit SHA,
+// else a reload); workspaces pinned to a commit (no branch) are otherwise left as they are.
+const syncWorkspace = async (project, githubToken, options = {}) => {
+  const workspace = await ensureWorkspace(project, githubToken, options);
+  const octokit = new Octokit({ auth: githubToken });
+
+  if (options.ref && options.ref !== workspace.branch && options.ref !== workspace.headSha) {
+    let switched = isCommitSha(options.ref) ? await agent.store.load(project.id, options.ref) : null;
+    if (switched) {
+      switched.ref = switched.headSha;
+      switched.branch = undefined;
+    } else {
+      switched = await loadWorkspaceFromGitHub(octokit, project, {
+        ...workspace.filters,
+        ref: options.ref,
+        previous: workspace
+      });
+      await agent.store.save(switched);
+    }
+    agent.workspaces.set(project.id, switched);
+    return switched;
+  }
+  if (!workspace.branch) return workspace;
+
+  const { data: ref } = await octokit.git.getRef({
+    owner: project.owner,
+    repo: project.repo_name,
+    ref: `heads/${workspace.branch}`
+  });
+  if (ref.object.sha === workspace.headSha) return workspace;
+
+  let synced = await agent.store.load(project.id, ref.object.sha);
+  if (!synced) {
+    synced = await loadWorkspaceFromGitHub(octokit, project, {
+      ...workspace.filters,
+      ref: workspace.branch,
+      previous: workspace
+    });
+    await agent.store.save(synced);
+  }
+  agent.workspaces.set(project.id, synced);
+  return synced;
+};
+
+// Commits go on top of a branch head, so a workspace pinned to a commit (a restored
+// snapshot or a SHA ref) stays read-only until a branch is loaded again
+const assertWritableWorkspace = (workspace) => {
+  if (workspace.branch) return;
+  const error = new Error(`Workspace is pinned to commit ${workspace.headSha}; reload a branch with POST /v1/projects/:projectId/workspace/reload before changing code`);
+  error.status = 409;
+  throw error;
+};
+
+// Pull request runs get a workspace of their feature branch (or, before its first commit,
+// of the base branch), kept apart from the project's and never saved as its snapshot
+const branchWorkspaceId = (projectId, branch) => `${projectId}#${branch}`;
+
+const ensureBranchWorkspace = async (project, githubToken, { branch, baseBranch }) => {
+  const workspaceId = branchWorkspaceId(project.id, branch);
+  const octokit = new Octokit({ auth: githubToken });
+  let ref = branch;
+  let headSha = null;
+  try {
+    const { data } = await octokit.git.getRef({ owner: project.owner, repo: project.repo_name, ref: `heads/${branch}` });
+    headSha = data.object.sha;
+  } catch (error) {
+    if (error.status !== 404 || !baseBranch) throw error;
+    ref = baseBranch;
+  }
+
+  const cached = agent.workspaces.get(workspaceId);
+  if (cached && headSha && cached.headSha === headSha) return workspaceId;
+
+  const base = agent.workspaces.get(project.id);
+  const workspace = await loadWorkspaceFromGitHub(octokit, project, {
+    ...(base ? base.filters : {}),
+    ref,
+    previous: cached || base
+  });
+  workspace.branch = branch;
+  workspace.transient = true;
+  agent.workspaces.set(workspaceId, workspace);
+  return workspaceId;
+};
+
+const formatAgentResult = (task, result, project) => ({
+  success: result.success,
+  run_id: result.run_id,
+  task: task,
+  plan: result.plan,
+  changes: result.changes,
+  reasoning: result.reasoning,
+  commits: result.commits,
+  status: result.pending ? 'pending' : undefined,
+  changeset_id: result.changeset ? result.changeset.id : undefined,
+  branch: result.branch,
+  pull_request: result.pullRequest,
+  diffs: result.diffs,
+  conflicts: result.conflicts,
+  validation_issues: result.validation_issues,
+  context: result.context,
+  transcript: result.transcript,
+  usage: result.usage,
+  steps: result.steps,
+  stop_reason: result.stop_reason,
+  repairs: result.repairs,
+  github_repo: project.github_repo,
+  error: result.error,
+  validation_errors: result.validation_errors,
+  raw_response: result.raw
+});
+
+// Persist proposals from auto_approve: false runs, or open/update the pull request
+// for committed pull request mode runs, before reporting the result
+const finalizeAgentResult = async (task, result, project, sessionId, target, githubToken) => {
+  if (result.pending) {
+    result.changeset = await createChangeset(project, sessionId, task, result, target);
+  } else if (result.success && target && result.commits.length > 0) {
+    result.branch = target.branch;
+    result.pullRequest = await publishPullRequest(project, target, {
+      task,
+      plan: result.plan,
+      reasoning: result.reasoning,
+      changes: result.changes,
+      commits: result.commits
+    }, githubToken);
+  }
+  return formatAgentResult(task, result, project);
+};
+
+// Switch a response into SSE mode and return a typed event writer
+const openEventStream = (res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+};
+
+// WORKSPACE LOADING
+
+const WORKSPACE_DEFAULTS = {
+  include: ['**'],
+  exclude: ['node_modules/**', '**/node_modules/**', 'dist/**', 'build/**', 'coverage/**', '.git/**', '**/*.min.js', '**/*.map', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'],
+  maxFileSize: parseInt(process.env.WORKSPACE_MAX_FILE_SIZE, 10) || 200 * 1024
+};
+
+const BINARY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'webp', 'ico', 'bmp', 'tiff', 'psd', 'pdf',
+  'zip', 'gz', 'tgz', 'tar', 'rar', '7z', 'jar', 'class', 'exe', 'dll', 'so', 'bin',
+  'woff', 'woff2', 'ttf', 'otf', 'eot', 'mp3', 'mp4', 'wav', 'ogg', 'webm', 'mov', 'avi'
+]);
+
+// Translate a path glob (`*`, `**`, `?`) into an anchored regular expression
+const globToRegExp = (glob) => {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches zero or more directories, a trailing `**` matches everything
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+};
+
+const matchesGlobs = (filePath, globs) => globs.some(glob => globToRegExp(glob).test(filePath));
+
+// SEARCH HELPERS
+
+const MAX_SEARCH_QUERY_LENGTH = 500;
+
+// Compile a search query into a line matcher; invalid regular expressions throw
+const buildSearchPattern = (query, options = {}) => {
+  if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+    throw new Error(`Search query is longer than ${MAX_SEARCH_QUERY_LENGTH} characters`);
+  }
+
+  let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (options.wholeWord) source = `\\b(?:${source})\\b`;
+
+  return new RegExp(source, options.caseSensitive ? '' : 'i');
+};
+
+const REGEX_SEARCH_TIMEOUT_MS = parseInt(process.env.REGEX_SEARCH_TIMEOUT_MS, 10) || 2000;
+
+// Indexes of the lines of content that match pattern
+const matchingLines = (pattern, content) => {
+  const hits = [];
+  content.split('\n').forEach((line, index) => {
+    if (pattern.test(line)) hits.push(index);
+  });
+  return hits;
+};
+
+const REGEX_WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const pattern = new RegExp(workerData.source, workerData.flags);
+const matchingLines = ${matchingLines.toString()};
+parentPort.postMessage(workerData.files.map(([, content]) => matchingLines(pattern, content)));
+`;
+
+// Match lines in a worker thread that is terminated once the time budget runs out,
+// so a runaway pattern answers with a 400 instead of blocking the event loop
+const matchLinesInWorker = (pattern, files) => new Promise((resolve, reject) => {
+  const worker = new Worker(REGEX_WORKER_SOURCE, {
+    eval: true,
+    workerData: { source: pattern.source, flags: pattern.flags, files }
+  });
+  const timer = setTimeout(() => {
+    worker.terminate();
+    const error = new Error(`Regular expression search took longer than ${REGEX_SEARCH_TIMEOUT_MS} ms; simplify the pattern`);
+    error.status = 400;
+    reject(error);
+  }, REGEX_SEARCH_TIMEOUT_MS);
+  worker.once('message', hits => {
+    clearTimeout(timer);
+    worker.terminate();
+    resolve(hits);
+  });
+  worker.once('error', error => {
+    clearTimeout(timer);
+    reject(error);
+  });
+});
+
+const toList = (value) => {
+  if (!value) return undefined;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toFlag = (value) => value === true || value === 'true' || value === '1';
+
+// Map snake_case search parameters (tool arguments or query string) to searchCodebase options
+const searchOptionsFrom = (params) => ({
+  regex: toFlag(params.regex),
+  wholeWord: toFlag(params.whole_word),
+  caseSensitive: toFlag(params.case_sensitive),
+  include: toList(params.include),
+  exclude: toList(params.exclude),
+  contextLines: params.context_lines !== undefined ? Math.min(parseInt(params.context_lines, 10) || 0, 20) : undefined,
+  maxPerFile: params.max_per_file ? parseInt(params.max_per_file, 10) : undefined,
+  maxResults: params.max_results ? parseInt(params.max_results, 10) : undefined
+});
+
+// SYMBOL INDEX
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+const isCodeFile = (filePath) => CODE_EXTENSIONS.includes(path.posix.extname(filePath));
+
+// Plain .ts can't enable JSX without breaking `<T>value` casts
+const parserPluginsFor = (filePath) => {
+  const ext = path.posix.extname(filePath);
+  if (ext === '.ts') return ['typescript'];
+  if (ext === '.tsx') return ['typescript', 'jsx'];
+  return ['jsx'];
+};
+
+const parseSource = (filePath, content, options = {}) => parse(content, {
+  sourceType: 'module',
+  plugins: parserPluginsFor(filePath),
+  errorRecovery: options.errorRecovery !== false
+});
+
+// Every file path of a workspace's tree, including files that were skipped or filtered out
+const workspacePaths = (workspace) => new Set([
+  ...Object.keys(workspace.files),
+  ...Object.keys(workspace.blobs || {}),
+  ...(workspace.skipped || []).map(entry => entry.file)
+]);
+
+// Resolve a relative import specifier to a path of the tree the way bundlers do:
+// exact path (assets included), then known extensions, then a directory index file
+const resolveImportPath = (fromFile, source, paths) => {
+  if (!source || !source.startsWith('.')) return null;
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), source));
+  const candidates = [
+    base,
+    ...CODE_EXTENSIONS.map(ext => base + ext),
+    ...CODE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+  ];
+  return candidates.find(candidate => paths.has(candidate)) || null;
+};
+
+const isPascalCase = (name) => /^[A-Z][A-Za-z0-9]*$/.test(name);
+
+const AST_SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+const containsJSX = (node) => {
+  const stack = [node];
+  while (stack.length) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object') continue;
+    if (typeof current.type === 'string' && current.type.startsWith('JSX')) return true;
+    for (const [key, value] of Object.entries(current)) {
+      if (!AST_SKIP_KEYS.has(key) && value && typeof value === 'object') stack.push(value);
+    }
+  }
+  return false;
+};
+
+const extendsReactComponent = (node) => {
+  const superClass = node.superClass;
+  if (!superClass) return false;
+  const name = superClass.type === 'MemberExpression' ? superClass.property.name : superClass.name;
+  return name === 'Component' || name === 'PureComponent';
+};
+
+// Function-like values, including components wrapped in memo()/forwardRef()
+const functionKind = (name, node) => (isPascalCase(name) && containsJSX(node) ? 'component' : 'function');
+
+const declarationSymbols = (node) => {
+  const line = node.loc.start.line;
+  switch (node.type) {
+    case 'FunctionDeclaration':
+      return node.id ? [{ name: node.id.name, kind: functionKind(node.id.name, node), line }] : [];
+    case 'ClassDeclaration':
+      return node.id ? [{ name: node.id.name, kind: extendsReactComponent(node) ? 'component' : 'class', line }] : [];
+    case 'VariableDeclaration':
+      return node.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .map(declarator => {
+          const init = declarator.init;
+          const name = declarator.id.name;
+          let kind = 'variable';
+          if (init && ['ArrowFunctionExpression', 'FunctionExpression', 'CallExpression'].includes(init.type)) {
+            kind = init.type === 'CallExpression' && !containsJSX(init) ? 'variable' : functionKind(name, init);
+          } else if (init && init.type === 'ClassExpression') {
+            kind = extendsReactComponent(init) ? 'component' : 'class';
+          }
+          return { name, kind, line: declarator.loc.start.line };
+        });
+    case 'TSInterfaceDeclaration':
+    case 'TSTypeAliasDeclaration':
+    case 'TSEnumDeclaration':
+      return [{ name: node.id.name, kind: 'type', line }];
+    default:
+      return [];
+  }
+};
+
+const importSpecifiers = (specifiers) => specifiers.map(specifier => {
+  switch (specifier.type) {
+    case 'ImportDefaultSpecifier':
+      return { imported: 'default', local: specifier.local.name };
+    case 'ImportNamespaceSpecifier':
+    case 'ExportNamespaceSpecifier':
+      return { imported: '*', local: (specifier.local || specifier.exported).name };
+    case 'ExportSpecifier':
+      return { imported: specifier.local.name, local: specifier.exported.name };
+    default:
+      return { imported: specifier.imported.name || specifier.imported.value, local: specifier.local.name };
+  }
+});
+
+// Top-level declarations, imports and exports of one source file
+const extractSymbols = (filePath, content) => {
+  let ast;
+  try {
+    ast = parseSource(filePath, content);
+  } catch (error) {
+    return { symbols: [], imports: [], error: error.message };
+  }
+
+  const symbols = [];
+  const imports = [];
+  const byName = new Map();
+  const add = (node, flags = {}) => {
+    for (const symbol of declarationSymbols(node)) {
+      const entry = { ...symbol, exported: Boolean(flags.exported), default: Boolean(flags.default) };
+      symbols.push(entry);
+      byName.set(entry.name, entry);
+    }
+  };
+  const localExports = [];
+
+  for (const node of ast.program.body) {
+    switch (node.type) {
+      case 'ImportDeclaration':
+        imports.push({ source: node.source.value, line: node.loc.start.line, specifiers: importSpecifiers(node.specifiers) });
+        break;
+      case 'ExportNamedDeclaration':
+        if (node.declaration) add(node.declaration, { exported: true });
+        if (node.source) {
+          imports.push({ source: node.source.value, line: node.loc.start.line, reexport: true, specifiers: importSpecifiers(node.specifiers) });
+        } else {
+          localExports.push(...node.specifiers.map(specifier => ({ name: specifier.local.name, default: specifier.exported.name === 'default' })));
+        }
+        break;
+      case 'ExportAllDeclaration':
+        imports.push({ source: node.source.value, line: node.loc.start.line, reexport: true, specifiers: [{ imported: '*', local: '*' }] });
+        break;
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        if (declaration.type === 'Identifier') {
+          localExports.push({ name: declaration.name, default: true });
+        } else if (declarationSymbols(declaration).length) {
+          add(declaration, { exported: true, default: true });
+        } else {
+          // Anonymous default export (arrow function, object, unnamed class)
+          const kind = ['ArrowFunctionExpression', 'FunctionDeclaration', 'FunctionExpression'].includes(declaration.type)
+            ? (containsJSX(declaration) ? 'component' : 'function')
+            : 'variable';
+          symbols.push({ name: 'default', kind, line: node.loc.start.line, exported: true, default: true });
+        }
+        break;
+      }
+      default:
+        add(node);
+    }
+  }
+
+  for (const { name, default: isDefault } of localExports) {
+    const symbol = byName.get(name);
+    if (!symbol) continue;
+    symbol.exported = true;
+    if (isDefault) symbol.default = true;
+  }
+
+  return { symbols, imports };
+};
+
+// Compact one-line description used in the annotated file tree
+const describeSymbol = (symbol) => {
+  const flags = symbol.default ? ' (export default)' : symbol.exported ? ' (export)' : '';
+  return `${symbol.kind} ${symbol.name}${flags} L${symbol.line}`;
+};
+
+// RELEVANCE RANKING
+
+const LOCATE_DEFAULT_LIMIT = 10;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PATH_WEIGHT = 1.5;
+const SYMBOL_WEIGHT = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have', 'in', 'into',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'should', 'so', 'that', 'the', 'their',
+  'them', 'then', 'there', 'this', 'to', 'up', 'us', 'we', 'when', 'with', 'you', 'your',
+  'add', 'change', 'create', 'make', 'new', 'update', 'use', 'want', 'need', 'file', 'files'
+]);
+
+// Light plural stemming so "todos" matches "Todo" and "components" matches "component"
+const stem = (token) => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token);
+
+// Lower-case word tokens, splitting camelCase, PascalCase, snake_case and paths
+const tokenize = (text) => (text
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+  .toLowerCase()
+  .match(/[a-z0-9]+/g) || [])
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+  .map(stem);
+
+// Query terms that should also match related file types
+const TERM_ALIASES = {
+  style: ['css', 'scss'],
+  styling: ['css', 'scss'],
+  test: ['spec']
+};
+
+const countTerms = (tokens) => {
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  return counts;
+};
+
+// Entry component whose imports make up the app's top-level structure
+const findEntryFile = (files) => ['src/App.jsx', 'src/App.tsx', 'src/App.js', 'src/App.ts', 'App.jsx', 'App.js']
+  .find(file => files[file] !== undefined) || null;
+
+// CONTEXT BUDGET
+// The execution prompt has to fit the model's context window with room left for its answer.
+
+const DEFAULT_MODEL_LIMITS = { n_ctx: 32000, max_output_tokens: 4096 };
+const CONTEXT_SAFETY_MARGIN = 512; // tokens kept free for estimation error and message framing
+
+// Context window and output limit of a model; unknown models get the provider's configured
+// context size or conservative defaults
+const getModelLimits = async (provider, model) => {
+  let info;
+  try {
+    info = (await provider.listModels())[model];
+  } catch (error) {
+    console.error(`Could not list ${provider.name} models:`, error.message);
+  }
+  return {
+    n_ctx: (info && info.n_ctx) || provider.nCtx || DEFAULT_MODEL_LIMITS.n_ctx,
+    max_output_tokens: (info && info.max_output_tokens) || DEFAULT_MODEL_LIMITS.max_output_tokens
+  };
+};
+
+const TRIMMED_TOOL_RESULT = 'Result removed to fit the context window; call the tool again if you still need it.';
+
+const messageTokens = (message) => estimateTokens(message.content) +
+  (message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0);
+
+// Replace the oldest tool results with a placeholder until the messages fit `budget`.
+// The tool messages stay so every tool call keeps an answer; returns what was cut.
+const trimToolResults = (messages, budget, trimmed) => {
+  let total = messages.reduce((sum, message) => sum + messageTokens(message), 0);
+  const cut = [];
+  for (const message of messages) {
+    if (total <= budget) break;
+    if (message.role !== 'tool' || trimmed.has(message)) continue;
+    const tokens = messageTokens(message);
+    message.content = TRIMMED_TOOL_RESULT;
+    trimmed.add(message);
+    total -= tokens - messageTokens(message);
+    cut.push({ message, tokens });
+  }
+  return cut;
+};
+
+const renderSnippets = (result) => {
+  const blocks = result.matches.map(match => [
+    ...match.before.map((text, i) => `${match.line - match.before.length + i}  ${text}`),
+    `${match.line}: ${match.text}`,
+    ...match.after.map((text, i) => `${match.line + 1 + i}  ${text}`)
+  ].join('\n'));
+  return `--- ${result.file} (search matches) ---\n${blocks.join('\n...\n')}`;
+};
+
+// STRUCTURED OUTPUT
+
+const CHANGE_TYPES = ['create', 'update', 'delete', 'edit', 'diff'];
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    understanding: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['tool'],
+        properties: { step: { type: 'string' }, tool: { type: 'string', minLength: 1 }, target: { type: 'string' } }
+      }
+    },
+    planning: { type: 'array' },
+    execution: { type: 'array' }
+  }
+};
+
+const CHANGES_SCHEMA = {
+  type: 'object',
+  required: ['changes'],
+  properties: {
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'file'],
+        properties: {
+          type: { type: 'string', enum: CHANGE_TYPES },
+          file: { type: 'string', minLength: 1 },
+          content: { type: 'string' },
+          diff: { type: 'string', minLength: 1 },
+          edits: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['search', 'replace'],
+              properties: { search: { type: 'string', minLength: 1 }, replace: { type: 'string' } }
+            }
+          }
+        },
+        // Fields each change type additionally needs
+        requiredByType: { create: ['content'], update: ['content'], edit: ['edits'], diff: ['diff'] }
+      }
+    },
+    reasoning: { type: 'string' }
+  }
+};
+
+const CHAT_INTENTS = ['approve', 'modify', 'deploy', 'undo', 'general'];
+
+const INTENT_SCHEMA = {
+  type: 'object',
+  required: ['intent', 'confidence'],
+  properties: {
+    intent: { type: 'string', enum: CHAT_INTENTS },
+    confidence: { type: 'number' },
+    arguments: {
+      type: 'object',
+      properties: { task: { type: 'string' }, question: { type: 'string' }, files: { type: 'array', items: { type: 'string' } } }
+    },
+    clarification: { type: 'string' }
+  }
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Validate against the small JSON Schema subset used above; returns readable error strings
+const validateSchema = (value, schema, at = 'response') => {
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type) return [`${at} must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}, got ${actual}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+  if (schema.minLength && value.length < schema.minLength) return [`${at} must not be empty`];
+
+  const errors = [];
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (actual === 'object') {
+    const required = [...(schema.required || []), ...((schema.requiredByType || {})[value.type] || [])];
+    for (const key of required) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required${schema.requiredByType && !(schema.required || []).includes(key) ? ` for type "${value.type}"` : ''}`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+    }
+  }
+  return errors;
+};
+
+// Candidate JSON texts in a model reply: the whole reply, fenced blocks, then the
+// outermost balanced {...} or [...] inside surrounding prose
+const jsonCandidates = (text) => {
+  const candidates = [text.trim()];
+  for (const match of text.matchAll(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/g)) candidates.push(match[1].trim());
+
+  const start = text.search(/[{[]/);
+  if (start !== -1) {
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char);
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        if (!stack.length) {
+          candidates.push(text.slice(start, i + 1));
+          break;
+        }
+      }
+    }
+  }
+  return candidates;
+};
+
+// Extract and validate JSON from a model reply; `errors` is empty when it is usable
+const parseStructuredOutput = (text, schema) => {
+  let lastError = 'no JSON found';
+  for (const candidate of jsonCandidates(text || '')) {
+    let value;
+    try {
+      value = JSON.parse(candidate);
+    } catch (error) {
+      lastError = error.message;
+      continue;
+    }
+    return { value, errors: schema ? validateSchema(value, schema) : [] };
+  }
+  return { value: null, errors: [`response is not valid JSON (${lastError})`] };
+};
+
+// CHANGE VALIDATION
+
+const BUILTIN_MODULES = new Set(require('module').builtinModules);
+
+// npm package an import specifier belongs to; null for relative, absolute, aliased and built-in imports
+const packageNameOf = (source) => {
+  if (/^[./~#]/.test(source) || source.startsWith('@/') || source.startsWith('node:')) return null;
+  const parts = source.split('/');
+  const name = source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  return BUILTIN_MODULES.has(name) ? null : name;
+};
+
+// Closest package.json above a file, so nested packages get their own manifest
+const nearestPackageJson = (filePath, files) => {
+  let dir = path.posix.dirname(filePath);
+  while (true) {
+    const candidate = dir === '.' ? 'package.json' : `${dir}/package.json`;
+    if (files[candidate] !== undefined) return candidate;
+    if (dir === '.' || dir === '/') return null;
+    dir = path.posix.dirname(dir);
+  }
+};
+
+const declaredDependencies = (manifest) => {
+  try {
+    const pkg = JSON.parse(manifest);
+    return new Set([pkg.name, ...['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']
+      .flatMap(field => Object.keys(pkg[field] || {}))]);
+  } catch {
+    return null; // an invalid package.json is reported on its own
+  }
+};
+
+// WEB FETCHING
+
+const WEB_FETCH_TIMEOUT_MS = parseInt(process.env.WEB_FETCH_TIMEOUT_MS, 10) || 10000;
+const WEB_FETCH_MAX_BYTES = parseInt(process.env.WEB_FETCH_MAX_BYTES, 10) || 2 * 1024 * 1024;
+const WEB_CACHE_TTL_MS = parseInt(process.env.WEB_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+const WEB_CACHE_MAX_ENTRIES = 100;
+const WEB_MAX_REDIRECTS = 5;
+const WEB_PAGE_SIZE = 8000; // characters of Markdown per page of the web tool
+const WEB_MAX_LINKS = 50;
+
+const webCache = new Map(); // url -> { expires, title, markdown }
+
+const ipv4ToInt = (address) => address.split('.').reduce((value, octet) => value * 256 + parseInt(octet, 10), 0);
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].map(([base, bits]) => [ipv4ToInt(base), bits]);
+
+// Loopback, private, link-local (cloud metadata), multicast and reserved addresses
+const isBlockedAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(base / 2 ** (32 - bits)));
+  }
+  const lower = address.toLowerCase();
+  // IPv4-mapped addresses, dotted (::ffff:127.0.0.1) or as URL parsing normalizes them (::ffff:7f00:1)
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isBlockedAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+};
+
+const assertFetchableUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid URL: ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`Only http and https URLs can be fetched, got ${url.protocol}`);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    throw new Error(`Refusing to fetch private address ${url.hostname}`);
+  }
+  return url;
+};
+
+// DNS lookup that refuses private addresses, so a public name can't resolve (or rebind) to one
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) return callback(new Error(`Refusing to fetch ${hostname}: it resolves to private address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const safeHttpAgent = new http.Agent({ lookup: safeLookup });
+const safeHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Fetch with manual redirects (each hop is checked again), a timeout and a body size cap
+const safeFetch = async (value) => {
+  const fetch = (await import('node-fetch')).default;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEB_FETCH_TIMEOUT_MS);
+  try {
+    let url = assertFetchableUrl(value);
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(url.href, {
+        redirect: 'manual',
+        signal: controller.signal,
+        agent: url.protocol === 'https:' ? safeHttpsAgent : safeHttpAgent,
+        headers: { 'User-Agent': 'refact-agent/3.0 (+web tool)', Accept: 'text/html,text/plain,application/json;q=0.9,*/*;q=0.5' }
+      });
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        if (redirects >= WEB_MAX_REDIRECTS) throw new Error(`Too many redirects fetching ${value}`);
+        url = assertFetchableUrl(new URL(response.headers.get('location'), url).href);
+        continue;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > WEB_FETCH_MAX_BYTES) {
+          chunks.push(chunk.subarray(0, chunk.length - (size - WEB_FETCH_MAX_BYTES)));
+          truncated = true;
+          controller.abort();
+          break;
+        }
+        chunks.push(chunk);
+      }
+      return {
+        url: url.href,
+        contentType: (response.headers.get('content-type') || '').toLowerCase(),
+        body: Buffer.concat(chunks).toString('utf8'),
+        truncated
+      };
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`Timed out after ${WEB_FETCH_TIMEOUT_MS}ms fetching ${value}`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const NOISE_SELECTORS = 'script, style, noscript, iframe, svg, canvas, form, nav, footer, aside, [role="navigation"], [aria-hidden="true"], .sidebar, .nav, .menu, .advertisement';
+const MAIN_SELECTORS = ['main', 'article', '[role="main"]', '#content', '#main', '.content', '.markdown-body', '.documentation'];
+
+// Convert the readable part of an HTML page to Markdown, collecting its links
+const htmlToMarkdown = (html, baseUrl) => {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim() || $('h1').first().text().trim();
+  $(NOISE_SELECTORS).remove();
+
+  const main = MAIN_SELECTORS.map(selector => $(selector).first()).find(node => node.length && node.text().trim().length > 200);
+  const root = main || $('body');
+  const links = [];
+
+  const absolute = (href) => {
+    try {
+      return new URL(href, baseUrl).href;
+    } catch {
+      return null;
+    }
+  };
+  const inline = (node) => $(node).contents().toArray().map(render).join('');
+  const block = (text) => `\n\n${text.trim()}\n\n`;
+
+  const render = (node) => {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (node.type !== 'tag') return '';
+    const tag = node.name;
+    if (/^h[1-6]$/.test(tag)) return block(`${'#'.repeat(Number(tag[1]))} ${$(node).text().replace(/\s+/g, ' ').trim()}`);
+
+    switch (tag) {
+      case 'p':
+      case 'section':
+      case 'div':
+        return block(inline(node));
+      case 'br':
+        return '\n';
+      case 'hr':
+        return block('---');
+      case 'pre': {
+        const code = $(node).find('code').first();
+        const language = ((code.attr('class') || $(node).attr('class') || '').match(/(?:language|lang)-([\w+-]+)/) || [])[1] || '';
+        return block(`\`\`\`${language}\n${(code.length ? code : $(node)).text().replace(/\n+$/, '')}\n\`\`\``);
+      }
+      case 'code':
+        return `\`${$(node).text()}\``;
+      case 'strong':
+      case 'b':
+        return `**${inline(node).trim()}**`;
+      case 'em':
+      case 'i':
+        return `_${inline(node).trim()}_`;
+      case 'a': {
+        const text = inline(node).trim();
+        const href = absolute($(node).attr('href') || '');
+        if (!href || !/^https?:/.test(href)) return text;
+        if (!links.includes(href)) links.push(href);
+        return text ? `[${text}](${href})` : '';
+      }
+      case 'img':
+        return $(node).attr('alt') ? `![${$(node).attr('alt')}]` : '';
+      case 'ul':
+      case 'ol':
+        return block($(node).children('li').toArray()
+          .map((item, i) => `${tag === 'ol' ? `${i + 1}.` : '-'} ${inline(item).replace(/\n{2,}/g, '\n').trim().replace(/\n/g, '\n  ')}`)
+          .join('\n'));
+      case 'blockquote':
+        return block(inline(node).trim().split('\n').map(line => `> ${line}`).join('\n'));
+      case 'table':
+        return block($(node).find('tr').toArray()
+          .map(row => `| ${$(row).children('th, td').toArray().map(cell => inline(cell).trim()).join(' | ')} |`)
+          .join('\n'));
+      default:
+        return inline(node);
+    }
+  };
+
+  let markdown = root.contents().toArray().map(render).join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  if (links.length) {
+    markdown += `\n\n## Links\n\n${links.slice(0, WEB_MAX_LINKS).map((link, i) => `${i + 1}. ${link}`).join('\n')}`;
+  }
+  return { title, markdown };
+};
+
+const readableContent = (fetched) => {
+  if (fetched.contentType.includes('html') || (!fetched.contentType && /^\s*</.test(fetched.body))) {
+    return htmlToMarkdown(fetched.body, fetched.url);
+  }
+  if (fetched.contentType.includes('json')) {
+    try {
+      return { title: '', markdown: `\`\`\`json\n${JSON.stringify(JSON.parse(fetched.body), null, 2)}\n\`\`\`` };
+    } catch {
+      return { title: '', markdown: fetched.body };
+    }
+  }
+  if (fetched.contentType.startsWith('text/') || fetched.contentType.includes('javascript') || fetched.contentType.includes('xml')) {
+    return { title: '', markdown: fetched.body };
+  }
+  throw new Error(`Unsupported content type ${fetched.contentType || 'unknown'}`);
+};
+
+// Same SHA-1 GitHub assigns to a blob, so local edits can be compared with the remote tree
+const gitBlobSha = (content) => {
+  const buffer = Buffer.from(content);
+  return crypto
+    .createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+};
+
+const isBinaryPath = (filePath) => BINARY_EXTENSIONS.has(filePath.split('.').pop().toLowerCase());
+
+const isCommitSha = (ref) => /^[0-9a-f]{40}$/i.test(ref);
+
+// Load the full repository tree at `ref` (branch, tag or commit; default branch when omitted).
+// Passing the previously loaded workspace reuses every file whose blob SHA is unchanged.
+// Any GitHub error is thrown, so a partially loaded workspace is never cached or saved.
+const loadWorkspaceFromGitHub = async (octokit, project, options = {}) => {
+  const include = options.include || WORKSPACE_DEFAULTS.include;
+  const exclude = options.exclude || WORKSPACE_DEFAULTS.exclude;
+  const maxFileSize = options.maxFileSize || WORKSPACE_DEFAULTS.maxFileSize;
+  const previous = options.previous;
+
+  const workspace = {
+    id: project.id,
+    owner: project.owner,
+    repo: project.repo_name,
+    branch: undefined,
+    ref: options.ref,
+    headSha: undefined,
+    files: {},
+    blobs: {},
+    skipped: [],
+    filters: { include, exclude, maxFileSize }
+  };
+
+  let ref = options.ref;
+  if (!ref) {
+    const { data: repository } = await octokit.repos.get({ owner: project.owner, repo: project.repo_name });
+    ref = repository.default_branch;
+    workspace.branch = ref;
+  } else if (!isCommitSha(ref)) {
+    workspace.branch = ref;
+  }
+  workspace.ref = ref;
+
+  const { data: commit } = await octokit.repos.getCommit({
+    owner: project.owner,
+    repo: project.repo_name,
+    ref
+  });
+  workspace.headSha = commit.sha;
+
+  const { data: tree } = await octokit.git.getTree({
+    owner: project.owner,
+    repo: project.repo_name,
+    tree_sha: commit.commit.tree.sha,
+    recursive: 'true'
+  });
+  if (tree.truncated) {
+    console.warn(`Tree for ${project.owner}/${project.repo_name} was truncated by GitHub`);
+  }
+
+  const toFetch = [];
+  for (const item of tree.tree) {
+    if (item.type !== 'blob') continue;
+    if (!matchesGlobs(item.path, include) || matchesGlobs(item.path, exclude)) {
+      workspace.skipped.push({ file: item.path, reason: 'excluded' });
+      continue;
+    }
+    if (isBinaryPath(item.path)) {
+      workspace.skipped.push({ file: item.path, reason: 'binary' });
+      continue;
+    }
+    if (item.size > maxFileSize) {
+      workspace.skipped.push({ file: item.path, reason: 'too_large', size: item.size });
+      continue;
+    }
+
+    workspace.blobs[item.path] = item.sha;
+    if (previous && previous.blobs && previous.blobs[item.path] === item.sha && previous.files[item.path] !== undefined) {
+      workspace.files[item.path] = previous.files[item.path];
+    } else {
+      toFetch.push(item);
+    }
+  }
+
+  // Fetch changed blobs a few at a time to stay friendly with GitHub's rate limits
+  for (let i = 0; i < toFetch.length; i += 8) {
+    await Promise.all(toFetch.slice(i, i + 8).map(async (item) => {
+      const { data: blob } = await octokit.git.getBlob({
+        owner: project.owner,
+        repo: project.repo_name,
+        file_sha: item.sha
+      });
+      const buffer = Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8');
+      if (buffer.includes(0)) {
+        delete workspace.blobs[item.path];
+        workspace.skipped.push({ file: item.path, reason: 'binary' });
+        return;
+      }
+      workspace.files[item.path] = buffer.toString('utf8');
+    }));
+  }
+  workspace.fetched = toFetch.length;
+
+  return workspace;
+};
+
+const commitFilesToRepo = async (octokit, owner, repo, files) => {
+  const changes = Object.entries(files).map(([file, content]) => ({ type: 'create', file, content }));
+
+  try {
+    const commit = await commitTreeToBranch(octokit, owner, repo, {
+      changes,
+      message: 'Add initial project structure'
+    });
+    return [commit.sha];
+  } catch (error) {
+    console.error('Error committing initial files:', error.message);
+    return [];
+  }
+};
+
+// Commit a set of creates/updates/deletes as one commit on top of the branch head.
+// If the branch moves between reading the head and updating the ref, retry once, unless
+// the new commits touched the same files (a 409 with the conflicting paths).
+// A missing branch is created from `baseBranch` when one is given.
+const commitTreeToBranch = async (octokit, owner, repo, { branch, baseBranch, changes, message }, attempt = 0) => {
+  if (!branch) {
+    const { data: repository } = await octokit.repos.get({ owner, repo });
+    branch = repository.default_branch;
+  }
+
+  let parentSha;
+  let createBranch = false;
+  try {
+    const { data: ref } = await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    parentSha = ref.object.sha;
+  } catch (error) {
+    if (error.status !== 404 || !baseBranch) throw error;
+    const { data: baseRef } = await octokit.git.getRef({ owner, repo, ref: `heads/${baseBranch}` });
+    parentSha = baseRef.object.sha;
+    createBranch = true;
+  }
+  const { data: parent } = await octokit.git.getCommit({ owner, repo, commit_sha: parentSha });
+
+  const { data: tree } = await octokit.git.createTree({
+    owner,
+    repo,
+    base_tree: parent.tree.sha,
+    tree: changes.map(change => change.type === 'delete'
+      ? { path: change.file, mode: '100644', type: 'blob', sha: null }
+      : { path: change.file, mode: '100644', type: 'blob', content: change.content || '' })
+  });
+
+  const { data: commit } = await octokit.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: tree.sha,
+    parents: [parentSha]
+  });
+
+  try {
+    if (createBranch) {
+      await octokit.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+    } else {
+      await octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: false });
+    }
+  } catch (error) {
+    // 422 means the ref is no longer a fast-forward of our parent (or was created concurrently)
+    if (error.status === 422 && attempt === 0) {
+      const conflicts = await findMovedPaths(octokit, owner, repo, branch, parent.tree.sha, changes);
+      if (conflicts.length > 0) {
+        const conflict = new Error(`Branch ${branch} moved during commit and changed ${conflicts.join(', ')}`);
+        conflict.status = 409;
+        conflict.conflicts = conflicts;
+        throw conflict;
+      }
+      console.warn(`Branch ${branch} moved during commit, retrying`);
+      return commitTreeToBranch(octokit, owner, repo, { branch, baseBranch, changes, message }, attempt + 1);
+    }
+    throw error;
+  }
+
+  return { sha: commit.sha, branch, parentSha };
+};
+
+// Paths among `changes` whose blob differs between `baseTreeSha` and the branch's current head
+const findMovedPaths = async (octokit, owner, repo, branch, baseTreeSha, changes) => {
+  const { data: ref } = await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+  const { data: head } = await octokit.git.getCommit({ owner, repo, commit_sha: ref.object.sha });
+  const [before, after] = await Promise.all([baseTreeSha, head.tree.sha].map(async (treeSha) => {
+    const { data: tree } = await octokit.git.getTree({ owner, repo, tree_sha: treeSha, recursive: 'true' });
+    return new Map(tree.tree.filter(item => item.type === 'blob').map(item => [item.path, item.sha]));
+  }));
+  return changes.map(change => change.file).filter(file => before.get(file) !== after.get(file));
+};
+
+// Subject from the first line of the agent's reasoning, body with the full reasoning and file list
+const buildCommitMessage = (reasoning, changes) => {
+  const [summary = '', ...rest] = (reasoning || '').trim().split('\n');
+  const truncated = summary.length > 66;
+  const subject = summary
+    ? `Agent: ${truncated ? `${summary.slice(0, 63)}...` : summary}`
+    : `Agent: update ${changes.length} file${changes.length === 1 ? '' : 's'}`;
+  const details = truncated ? reasoning.trim() : rest.join('\n').trim();
+  const files = changes.map(change => `- ${change.type}: ${change.file}`).join('\n');
+
+  return details ? `${subject}\n\n${details}\n\n${files}` : `${subject}\n\n${files}`;
+};
+
+// PULL REQUEST MODE
+
+const getSession = (sessionId) => db.sessions.get(sessionId);
+
+// Sessions are only reachable through the project they belong to, and not once deleted
+const getProjectSession = async (project, sessionId) => {
+  const session = await getSession(sessionId);
+  return session && session.project_id === project.id && !session.deleted_at ? session : null;
+};
+
+const buildBranchName = (task) => {
+  const slug = (task || 'changes')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return `agent/${slug || 'changes'}-${Date.now().toString(36)}`;
+};
+
+// Pick the branch a pull request mode run commits to: the session's open PR branch, or a new one
+const preparePullRequestTarget = async (project, sessionId, task, githubToken) => {
+  const octokit = new Octokit({ auth: githubToken });
+  const session = sessionId ? await getSession(sessionId) : null;
+
+  if (session && session.pr_branch && session.pr_number) {
+    const { data: pullRequest } = await octokit.pulls.get({
+      owner: project.owner,
+      repo: project.repo_name,
+      pull_number: session.pr_number
+    });
+    if (pullRequest.state === 'open') {
+      const target = { branch: session.pr_branch, baseBranch: pullRequest.base.ref, sessionId };
+      return { ...target, workspaceId: await ensureBranchWorkspace(project, githubToken, target) };
+    }
+  }
+
+  const { data: repository } = await octokit.repos.get({ owner: project.owner, repo: project.repo_name });
+  const target = { branch: buildBranchName(task), baseBranch: repository.default_branch, sessionId };
+  return { ...target, workspaceId: await ensureBranchWorkspace(project, githubToken, target) };
+};
+
+const buildPullRequestBody = ({ task, plan, reasoning, changes }) => {
+  const steps = plan && Array.isArray(plan.execution)
+    ? plan.execution.map(step => `- ${step.action}${step.files && step.files.length ? ` (${step.files.join(', ')})` : ''}`).join('\n')
+    : `\`\`\`json\n${JSON.stringify(plan || {}, null, 2)}\n\`\`\``;
+
+  return `## Task
+${task}
+
+## Plan
+${steps}
+
+## Reasoning
+${reasoning || '_No reasoning provided._'}
+
+## Files
+${changes.map(change => `- ${change.type}: \`${change.file}\``).join('\n')}
+
+_Opened by Refact Agent._`;
+};
+
+// Open a PR for the target branch, or comment on the one already open, and remember it on the session
+const publishPullRequest = async (project, target, details, githubToken) => {
+  const octokit = new Octokit({ auth: githubToken });
+  const owner = project.owner;
+  const repo = project.repo_name;
+
+  const { data: openPullRequests } = await octokit.pulls.list({
+    owner,
+    repo,
+    head: `${owner}:${target.branch}`,
+    state: 'open'
+  });
+
+  let pullRequest = openPullRequests[0];
+  if (pullRequest) {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: pullRequest.number,
+      body: `### Follow-up: ${details.task}\n\n${details.reasoning || ''}\n\n` +
+        `${details.changes.map(change => `- ${change.type}: \`${change.file}\``).join('\n')}\n\n` +
+        `Commits: ${details.commits.join(', ')}`
+    });
+  } else {
+    const title = details.task.split('\n')[0];
+    const { data: created } = await octokit.pulls.create({
+      owner,
+      repo,
+      title: `Agent: ${title.length > 66 ? `${title.slice(0, 63)}...` : title}`,
+      head: target.branch,
+      base: target.baseBranch,
+      body: buildPullRequestBody(details)
+    });
+    pullRequest = created;
+  }
+
+  if (target.sessionId) {
+    await db.sessions.update(target.sessionId, {
+      pr_branch: target.branch,
+      pr_number: pullRequest.number,
+      pr_url: pullRequest.html_url
+    });
+  }
+
+  return { number: pullRequest.number, url: pullRequest.html_url, branch: target.branch };
+};
+
+const generateProjectStructure = (complexity) => {
+  return {
+    'src/App.jsx': `import React from 'react';
+
+function App() {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <h1 className="text-4xl font-bold text-center py-20">
+        Welcome to your Refact Agent project!
+      </h1>
+      <p className="text-center text-gray-600">
+        This project has autonomous agent capabilities
+      </p>
+    </div>
+  );
+}
+
+export default App;`,
+    'package.json': JSON.stringify({
+      name: "refact-agent-project",
+      version: "1.0.0",
+      dependencies: {
+        react: "^18.0.0",
+        "react-dom": "^18.0.0",
+        "@tailwindcss/forms": "^0.5.0"
+      }
+    }, null, 2),
+    'README.md': `# Refact Agent Project
+
+This project was created with autonomous agent capabilities.
+
+## Features
+- Autonomous code generation
+- GitHub integration
+- Real-time file patching
+- Agent tool support
+
+## Getting Started
+\`\`\`bash
+npm install
+npm start
+\`\`\`
+`
+  };
+};
+
+// CHANGE PROPOSALS (auto_approve: false)
+
+const createChangeset = (project, sessionId, task, result, target) => db.changesets.create({
+  project_id: project.id,
+  session_id: sessionId || null,
+  run_id: result.run_id || null,
+  branch: target ? target.branch : null,
+  base_branch: target ? target.baseBranch : null,
+  task,
+  plan: result.plan,
+  reasoning: result.reasoning,
+  changes: result.changes,
+  diffs: result.diffs,
+  base_blobs: result.baseBlobs || {},
+  status: 'pending'
+});
+
+const getChangeset = (project, changesetId) => db.changesets.findOne({ id: String(changesetId), project_id: project.id });
+
+const getLatestPendingChangeset = (project, sessionId) => db.changesets.findOne(
+  { project_id: project.id, status: 'pending', ...(sessionId ? { session_id: sessionId } : {}) },
+  { order: { column: 'created_at', ascending: false } }
 );
 
-// SIMPLIFIED AGENT TOOLS IMPLEMENTATION
+// The workspace a changeset is proposed against: its feature branch's, or the project's
+const changesetWorkspace = async (project, changeset, githubToken) => {
+  if (changeset.branch) {
+    return ensureBranchWorkspace(project, githubToken, { branch: changeset.branch, baseBranch: changeset.base_branch });
+  }
+  assertWritableWorkspace(await syncWorkspace(project, githubToken));
+  return project.id;
+};
 
-class RefactAgent {
-  constructor() {
-    this.tools = {
-      search: this.searchCodebase.bind(this),
-      tree: this.getFileTree.bind(this),
-      cat: this.readFiles.bind(this),
-      locate: this.locateFiles.bind(this),
-      patch: this.applyPatch.bind(this),
-      think: this.planTask.bind(this),
-      web: this.fetchWebContent.bind(this)
-    };
-    this.workspaces = new Map(); // Store project workspaces
+// Commit all (or the selected) files of a pending changeset and mark it approved
+const approveChangeset = async (project, changeset, githubToken, files) => {
+  const selected = files && files.length > 0
+    ? changeset.changes.filter(change => files.includes(change.file))
+    : changeset.changes;
+  if (selected.length === 0) {
+    throw new Error('None of the selected files are part of this changeset');
   }
 
-  async searchCodebase(query, projectId) {
-    const workspace = this.workspaces.get(projectId);
-    if (!workspace) return [];
-    
-    // Simple text search
-    const results = [];
-    for (const [filePath, content] of Object.entries(workspace.files)) {
-      if (content.toLowerCase().includes(query.toLowerCase())) {
-        results.push({
-          file: filePath,
-          matches: content.split('\n').filter(line => 
-            line.toLowerCase().includes(query.toLowerCase())
-          )
-        });
-      }
+  const workspaceId = await changesetWorkspace(project, changeset, githubToken);
+  // Proposals are whole files, so any file changed since it was proposed would lose that change
+  const current = agent.fileBlobs(selected.map(change => change.file), workspaceId);
+  const stale = selected
+    .map(change => change.file)
+    .filter(file => changeset.base_blobs && file in changeset.base_blobs && changeset.base_blobs[file] !== current[file]);
+  if (stale.length > 0) {
+    const error = new Error(`Changed since the changeset was proposed: ${stale.join(', ')}; reject it or approve only the other files`);
+    error.status = 409;
+    error.conflicts = stale;
+    throw error;
+  }
+
+  const before = agent.fileContents(selected.map(change => change.file), workspaceId);
+  const commits = await agent.applyPatch(selected, workspaceId, githubToken, {
+    message: changeset.reasoning,
+    branch: changeset.branch || undefined,
+    baseBranch: changeset.base_branch || undefined
+  });
+
+  // Changesets proposed in pull request mode land on their feature branch and PR
+  let pullRequest = null;
+  if (changeset.branch && commits.length > 0) {
+    pullRequest = await publishPullRequest(project, {
+      branch: changeset.branch,
+      baseBranch: changeset.base_branch,
+      sessionId: changeset.session_id
+    }, {
+      task: changeset.task,
+      plan: changeset.plan,
+      reasoning: changeset.reasoning,
+      changes: selected,
+      commits
+    }, githubToken);
+  }
+
+  if (changeset.run_id) {
+    await updateRun(changeset.run_id, {
+      status: 'completed',
+      changes: selected,
+      commits,
+      files: commits.length > 0 ? fileHistory(before, selected) : []
+    });
+  }
+
+  return db.changesets.update(changeset.id, {
+    status: 'approved',
+    applied_files: selected.map(change => change.file),
+    commits,
+    pull_request_number: pullRequest ? pullRequest.number : null,
+    pull_request_url: pullRequest ? pullRequest.url : null,
+    resolved_at: new Date().toISOString()
+  });
+};
+
+// List changesets for a project (optionally filtered by status or session)
+app.get('/v1/projects/:projectId/changesets', async (req, res) => {
+  try {
+    const project = req.project;
+
+    const where = { project_id: project.id };
+    if (req.query.status) where.status = String(req.query.status);
+    if (req.query.session_id) where.session_id = String(req.query.session_id);
+
+    const changesets = await db.changesets.find(where, {
+      columns: ['id', 'session_id', 'task', 'reasoning', 'status', 'created_at', 'resolved_at'],
+      order: { column: 'created_at', ascending: false }
+    });
+
+    res.json({ changesets });
+  } catch (error) {
+    console.error('Changeset list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// View a changeset with its per-file diffs
+app.get('/v1/projects/:projectId/changesets/:changesetId', async (req, res) => {
+  try {
+    const project = req.project;
+
+    const changeset = await getChangeset(project, req.params.changesetId);
+    if (!changeset) {
+      return res.status(404).json({ error: 'Changeset not found' });
+    }
+
+    res.json(changeset);
+  } catch (error) {
+    console.error('Changeset fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit proposed file contents before approval
+app.patch('/v1/projects/:projectId/changesets/:changesetId', async (req, res) => {
+  try {
+    const { changes = [], github_token } = req.body;
+
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, github_token);
+
+    const changeset = await getChangeset(project, req.params.changesetId);
+    if (!changeset) {
+      return res.status(404).json({ error: 'Changeset not found' });
+    }
+    if (changeset.status !== 'pending') {
+      return res.status(409).json({ error: `Changeset is already ${changeset.status}` });
+    }
+
+    // Edits (whole content, search/replace `edits` or a `diff`) apply on top of the proposal
+    // for a file, or the workspace file when it isn't part of the changeset yet;
+    // `remove: true` drops the file from the changeset
+    let stacked = [...changeset.changes];
+    for (const edit of changes) {
+      if (!edit.file) continue;
+      if (edit.remove) {
+        stacked = stacked.filter(change => change.file !== edit.file);
+        continue;
+      }
+      // The kind of edit follows from the field it carries
+      const type = Array.isArray(edit.edits) ? 'edit'
+        : typeof edit.diff === 'string' ? 'diff'
+        : typeof edit.content === 'string' ? 'update'
+        : edit.type === 'delete' ? 'delete' : null;
+      if (!type) {
+        return res.status(400).json({ error: `Change to ${edit.file} needs content, edits, diff, type: 'delete' or remove: true` });
+      }
+      stacked.push({ ...edit, type });
+    }
+    const workspaceId = await changesetWorkspace(project, changeset, githubToken);
+    const { resolved, conflicts } = agent.resolveChanges(stacked, workspaceId);
+    if (conflicts.length > 0) {
+      return res.status(422).json({ error: 'Some edits do not apply to the proposed changes', conflicts });
+    }
+
+    // Files new to the changeset are based on the workspace as it is now
+    const added = resolved.map(change => change.file).filter(file => !(file in (changeset.base_blobs || {})));
+    const updated = await db.changesets.update(changeset.id, {
+      changes: resolved,
+      diffs: agent.diffChanges(resolved, workspaceId),
+      base_blobs: { ...changeset.base_blobs, ...agent.fileBlobs(added, workspaceId) }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Changeset edit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a changeset (all files, or only `files`) and commit it to GitHub
+app.post('/v1/projects/:projectId/changesets/:changesetId/approve', async (req, res) => {
+  try {
+    const { github_token, files } = req.body;
+
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, github_token);
+
+    const changeset = await getChangeset(project, req.params.changesetId);
+    if (!changeset) {
+      return res.status(404).json({ error: 'Changeset not found' });
+    }
+    if (changeset.status !== 'pending') {
+      return res.status(409).json({ error: `Changeset is already ${changeset.status}` });
+    }
+    if (files && !changeset.changes.some(change => files.includes(change.file))) {
+      return res.status(400).json({ error: 'None of the selected files are part of this changeset' });
+    }
+
+    const approved = await approveChangeset(project, changeset, githubToken, files);
+
+    res.json({
+      ...approved,
+      github_repo: project.github_repo
+    });
+  } catch (error) {
+    console.error('Changeset approval error:', error);
+    res.status(error.status || 500).json({ error: error.message, conflicts: error.conflicts });
+  }
+});
+
+// Reject a changeset without touching the workspace or GitHub
+app.post('/v1/projects/:projectId/changesets/:changesetId/reject', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const project = req.project;
+
+    const changeset = await getChangeset(project, req.params.changesetId);
+    if (!changeset) {
+      return res.status(404).json({ error: 'Changeset not found' });
+    }
+    if (changeset.status !== 'pending') {
+      return res.status(409).json({ error: `Changeset is already ${changeset.status}` });
+    }
+
+    const rejected = await db.changesets.update(changeset.id, {
+      status: 'rejected',
+      rejection_reason: reason || null,
+      resolved_at: new Date().toISOString()
+    });
+    if (changeset.run_id) await updateRun(changeset.run_id, { status: 'rejected' });
+
+    res.json(rejected);
+  } catch (error) {
+    console.error('Changeset rejection error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// RUN HISTORY
+// Agent runs are recorded in `agent_runs`. Committed runs keep each file's content from
+// before and after the run so they can be reverted later.
+
+// Fields shown when listing runs
+const RUN_SUMMARY_COLUMNS = [
+  'id', 'session_id', 'task', 'status', 'branch', 'commits', 'started_at', 'finished_at', 'duration_ms', 'reverted_at'
+];
+
+const fileHistory = (before, changes) => changes.map(change => ({
+  file: change.file,
+  before: before[change.file],
+  after: change.type === 'delete' ? null : change.content
+}));
+
+const updateRun = (runId, patch) => db.runs.update(runId, patch)
+  .catch(error => console.error('Run history update failed:', error.message));
+
+const getRun = (project, runId) => db.runs.findOne({ id: String(runId), project_id: project.id });
+
+// File contents are left out of API responses; only what happened to each file
+const describeRun = (run) => {
+  const { files, ...rest } = run;
+  return {
+    ...rest,
+    files: (files || []).map(({ file, before, after }) => ({
+      file,
+      change: before === null ? 'created' : after === null ? 'deleted' : 'modified'
+    }))
+  };
+};
+
+// A revert only goes ahead when every file still has the content the run left behind
+// and no later run touched it
+const findRevertConflicts = async (project, run, workspace) => {
+  const laterRuns = (await db.runs.find({ project_id: project.id, status: 'completed', started_at: { gt: run.started_at } }))
+    .filter(later => later.id !== run.id);
+
+  const conflicts = [];
+  for (const entry of run.files) {
+    const later = laterRuns.find(candidate => (candidate.files || []).some(file => file.file === entry.file));
+    const current = workspace.files[entry.file] !== undefined ? workspace.files[entry.file] : null;
+    if (later) {
+      conflicts.push({ file: entry.file, reason: 'Changed by a later run', run_id: later.id });
+    } else if (current !== entry.after) {
+      conflicts.push({ file: entry.file, reason: 'Changed since the run' });
+    }
+  }
+  return conflicts;
+};
+
+// Restore the files a run changed to their content from before it, as a new commit
+const revertRun = async (project, run, githubToken) => {
+  const fail = (status, message, conflicts) => Object.assign(new Error(message), { status, conflicts });
+  if (run.status === 'reverted') throw fail(409, 'Run is already reverted');
+  if (run.status !== 'completed' || !run.files || run.files.length === 0) {
+    throw fail(409, 'Only runs that committed changes can be reverted');
+  }
+
+  const workspace = await syncWorkspace(project, githubToken);
+  assertWritableWorkspace(workspace);
+  if (run.branch && run.branch !== workspace.branch) {
+    throw fail(409, `Run was committed to ${run.branch}; revert it on its pull request instead`);
+  }
+  const conflicts = await findRevertConflicts(project, run, workspace);
+  if (conflicts.length > 0) throw fail(409, 'Revert conflicts with later changes', conflicts);
+
+  const changes = run.files.map(entry => (entry.before === null
+    ? { type: 'delete', file: entry.file }
+    : { type: 'update', file: entry.file, content: entry.before }));
+  const commits = await agent.applyPatch(changes, project.id, githubToken, { message: `Revert: ${run.task}` });
+
+  const reverted = await db.runs.update(run.id, {
+    status: 'reverted',
+    reverted_at: new Date().toISOString(),
+    revert_commits: commits
+  });
+  return { run: reverted, changes, commits };
+};
+
+app.get('/v1/projects/:projectId/runs', async (req, res) => {
+  try {
+    const project = req.project;
+
+    const where = { project_id: project.id };
+    if (req.query.status) where.status = String(req.query.status);
+    if (req.query.session_id) where.session_id = String(req.query.session_id);
+
+    const runs = await db.runs.find(where, {
+      columns: RUN_SUMMARY_COLUMNS,
+      order: { column: 'started_at', ascending: false },
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+
+    res.json({ runs });
+  } catch (error) {
+    console.error('Run list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/v1/projects/:projectId/runs/:runId', async (req, res) => {
+  try {
+    const run = await getRun(req.project, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json(describeRun(run));
+  } catch (error) {
+    console.error('Run lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo a committed run in the workspace and on GitHub
+app.post('/v1/projects/:projectId/runs/:runId/revert', async (req, res) => {
+  try {
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, req.body.github_token);
+
+    const run = await getRun(project, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const { run: reverted, changes, commits } = await revertRun(project, run, githubToken);
+    res.json({
+      ...describeRun(reverted),
+      reverted_files: changes.map(change => change.file),
+      revert_commits: commits,
+      github_repo: project.github_repo
+    });
+  } catch (error) {
+    console.error('Run revert error:', error);
+    res.status(error.status || 500).json({ error: error.message, conflicts: error.conflicts });
+  }
+});
+
+// Search a project's workspace with the same engine as the agent's search tool
+app.get('/v1/projects/:projectId/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, req.get('x-github-token'));
+
+    await ensureWorkspace(project, githubToken);
+
+    let results;
+    try {
+      results = await agent.searchCodebase(q, project.id, searchOptionsFrom(req.query));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
-    return results;
+
+    res.json(results);
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async getFileTree(projectId) {
-    const workspace = this.workspaces.get(projectId);
-    if (!workspace) return {};
-    
-    const tree = {};
-    for (const filePath of Object.keys(workspace.files)) {
-      const parts = filePath.split('/');
-      let current = tree;
-      for (const part of parts) {
-        if (!current[part]) {
-          current[part] = {};
-        }
-        current = current[part];
-      }
-    }
-    return tree;
+// Reload a project's workspace from GitHub, optionally at another ref or with different globs
+app.post('/v1/projects/:projectId/workspace/reload', async (req, res) => {
+  try {
+    const { github_token, ref, include, exclude, max_file_size } = req.body;
+
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, github_token);
+
+    const previous = agent.workspaces.get(project.id);
+    const octokit = new Octokit({ auth: githubToken });
+    const filters = previous && previous.filters ? previous.filters : {};
+    const workspace = await loadWorkspaceFromGitHub(octokit, project, {
+      ref: ref || (previous ? previous.branch || previous.ref : undefined),
+      include: include || filters.include,
+      exclude: exclude || filters.exclude,
+      maxFileSize: max_file_size || filters.maxFileSize,
+      previous
+    });
+    agent.workspaces.set(project.id, workspace);
+    await agent.store.save(workspace);
+
+    res.json({
+      project_id: project.id,
+      ref: workspace.ref,
+      branch: workspace.branch,
+      head_sha: workspace.headSha,
+      files: Object.keys(workspace.files).length,
+      fetched: workspace.fetched || 0,
+      skipped: workspace.skipped
+    });
+  } catch (error) {
+    console.error('Workspace reload error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async readFiles(files, projectId) {
-    const workspace = this.workspaces.get(projectId);
-    if (!workspace) return {};
-    
-    const result = {};
-    for (const file of files) {
-      if (workspace.files[file]) {
-        result[file] = workspace.files[file];
-      }
-    }
-    return result;
+// List persisted workspace snapshots, newest first
+app.get('/v1/projects/:projectId/workspace/snapshots', async (req, res) => {
+  try {
+    const project = req.project;
+
+    const current = agent.workspaces.get(project.id);
+    res.json({
+      current_head_sha: current ? current.headSha : null,
+      snapshots: await agent.store.list(project.id)
+    });
+  } catch (error) {
+    console.error('Snapshot list error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async locateFiles(taskDescription, projectId) {
-    const workspace = this.workspaces.get(projectId);
-    if (!workspace) return [];
-    
-    const relevantFiles = [];
-    const files = Object.keys(workspace.files);
-    
-    // Simple relevance scoring
-    for (const file of files) {
-      if (taskDescription.toLowerCase().includes('component') && file.includes('component')) {
-        relevantFiles.push({ file, relevance: 0.9 });
-      } else if (taskDescription.toLowerCase().includes('style') && file.includes('.css')) {
-        relevantFiles.push({ file, relevance: 0.8 });
-      } else if (file.includes('.js') || file.includes('.jsx') || file.includes('.ts')) {
-        relevantFiles.push({ file, relevance: 0.5 });
-      }
+// Restore an older snapshot as the project's workspace. The workspace is pinned to that
+// commit (no sync with the branch head, no commits) until it is reloaded from GitHub.
+app.post('/v1/projects/:projectId/workspace/snapshots/:headSha/restore', async (req, res) => {
+  try {
+    const project = req.project;
+
+    const workspace = await agent.store.load(project.id, req.params.headSha);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Snapshot not found' });
     }
-    
-    return relevantFiles.sort((a, b) => b.relevance - a.relevance);
+
+    workspace.ref = workspace.headSha;
+    workspace.branch = undefined;
+    agent.workspaces.set(project.id, workspace);
+
+    res.json({
+      project_id: project.id,
+      head_sha: workspace.headSha,
+      files: Object.keys(workspace.files).length,
+      pinned: true
+    });
+  } catch (error) {
+    console.error('Snapshot restore error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async applyPatch(changes, projectId, githubToken) {
-    const workspace = this.workspaces.get(projectId);
-    if (!workspace) throw new Error('Workspace not found');
-    
-    // Apply changes to workspace
-    for (const change of changes) {
-      if (change.type === 'create' || change.type === 'update') {
-        workspace.files[change.file] = change.content;
-      } else if (change.type === 'delete') {
-        delete workspace.files[change.file];
-      }
+// API KEYS (admin)
+
+// Everything about a key except its hash
+const API_KEY_COLUMNS = ['id', 'user_id', 'name', 'scope', 'key_prefix', 'created_at', 'last_used_at', 'revoked_at'];
+
+// Issue a key for a user; the plaintext key is only ever returned here
+app.post('/v1/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const { user_id, name, scope = 'write' } = req.body;
+    if (!user_id) {
+      return res.status(400).json({ error: 'user_id is required' });
     }
-    
-    // Commit to GitHub
-    const octokit = new Octokit({ auth: githubToken });
-    const commits = [];
-    
-    for (const change of changes) {
-      try {
-        const result = await octokit.repos.createOrUpdateFileContents({
-          owner: workspace.owner,
-          repo: workspace.repo,
-          path: change.file,
-          message: `Agent: ${change.type} ${change.file}`,
-          content: Buffer.from(change.content || '').toString('base64')
-        });
-        commits.push(result.data.commit.sha);
-      } catch (error) {
-        console.error(`Error patching ${change.file}:`, error.message);
-      }
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${API_KEY_SCOPES.join(', ')}` });
     }
-    
-    return commits;
-  }
 
-  async planTask(taskDescription) {
-    const planningPrompt = `You are an expert software architect. Break down this task into a detailed execution plan:
+    const key = generateApiKey();
+    const apiKey = await db.apiKeys.create({
+      user_id,
+      name: name || null,
+      scope,
+      key_hash: hashApiKey(key),
+      key_prefix: key.slice(0, 10)
+    });
 
-Task: ${taskDescription}
+    res.status(201).json({ ...pickColumns(apiKey, API_KEY_COLUMNS), key });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Create a step-by-step plan that includes:
-1. Understanding phase (what files to examine, what context to gather)
-2. Planning phase (what changes are needed, dependencies, potential issues)  
-3. Execution phase (specific code changes, file operations, testing)
+app.get('/v1/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const apiKeys = await db.apiKeys.find(req.query.user_id ? { user_id: String(req.query.user_id) } : {}, {
+      columns: API_KEY_COLUMNS,
+      order: { column: 'created_at', ascending: false }
+    });
 
-Respond with a structured plan in JSON format:
-{
-  "understanding": [{"step": "...", "tool": "tree|cat|search|locate", "target": "..."}],
-  "planning": [{"analysis": "...", "dependencies": [...], "risks": [...]}],
-  "execution": [{"action": "...", "files": [...], "changes": "..."}]
-}`;
+    res.json({ api_keys: apiKeys });
+  } catch (error) {
+    console.error('API key list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const response = await this.callClaudeAPI(planningPrompt);
-    try {
-      return JSON.parse(response.choices[0].message.content);
-    } catch {
-      return { error: "Failed to parse plan", raw: response.choices[0].message.content };
+app.delete('/v1/admin/api-keys/:keyId', requireAdmin, async (req, res) => {
+  try {
+    const apiKey = await db.apiKeys.update({ id: req.params.keyId, revoked_at: null }, { revoked_at: new Date().toISOString() });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
     }
+
+    res.json(pickColumns(apiKey, API_KEY_COLUMNS));
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async fetchWebContent(url) {
-    try {
-      const fetch = (await import('node-fetch')).default;
-      const response = await fetch(url);
-      const html = await response.text();
-      
-      // Simple text extraction
-      const textContent = html
-        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-        .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-        .replace(/<[^>]*>/g, '')
-        .replace(/\s+/g, ' ')
-        .trim();
-        
-      return textContent.substring(0, 5000);
-    } catch (error) {
-      return `Error fetching ${url}: ${error.message}`;
-    }
+// USAGE
+
+const sumUsage = (events) => events.reduce((totals, event) => {
+  totals.calls++;
+  totals.prompt_tokens += event.prompt_tokens || 0;
+  totals.completion_tokens += event.completion_tokens || 0;
+  totals.total_tokens += event.total_tokens || 0;
+  return totals;
+}, { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+const groupUsage = (events, keyOf, keyName) => {
+  const groups = new Map();
+  for (const event of events) {
+    const key = keyOf(event);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
   }
+  return [...groups.entries()].map(([key, grouped]) => ({ [keyName]: key, ...sumUsage(grouped) }));
+};
 
-  async callClaudeAPI(prompt) {
-    const response = await axios.post('https://api.anthropic.com/v1/messages', {
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 4000,
-      messages: [{ role: "user", content: prompt }]
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.ANTHROPIC_API_KEY}`,
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      }
+// Token totals for the caller (admins may pass user_id), by project and by day.
+// Defaults to the current calendar month.
+app.get('/v1/usage', async (req, res) => {
+  try {
+    const userId = req.auth.admin ? req.query.user_id || null : req.auth.userId;
+    const from = req.query.from ? new Date(req.query.from) : monthStart();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const where = { created_at: { gte: from.toISOString(), lte: to.toISOString() } };
+    if (userId) where.user_id = String(userId);
+    const events = await db.usage.find(where, {
+      columns: ['project_id', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'created_at'],
+      order: { column: 'created_at', ascending: true }
     });
 
-    return {
-      choices: [{
-        message: {
-          role: 'assistant',
-          content: response.data.content[0].text
-        }
-      }]
+    const response = {
+      user_id: userId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals: sumUsage(events),
+      by_project: groupUsage(events, event => event.project_id || null, 'project_id'),
+      by_day: groupUsage(events, event => event.created_at.slice(0, 10), 'date')
     };
+    if (userId) {
+      const limits = await getLimits(String(userId));
+      response.limits = { ...limits, monthly_tokens_used: await getMonthlyTokens(String(userId)) };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async executeAgentWorkflow(taskDescription, projectId, githubToken) {
-    // 1. Planning phase
-    const plan = await this.planTask(taskDescription);
-    console.log('Agent Plan:', plan);
-    
-    // 2. Understanding phase
-    const context = {};
-    if (plan.understanding) {
-      for (const step of plan.understanding) {
-        switch (step.tool) {
-          case 'tree':
-            context.fileTree = await this.getFileTree(projectId);
-            break;
-          case 'cat':
-            context.files = await this.readFiles(step.target ? step.target.split(',') : [], projectId);
-            break;
-          case 'search':
-            context.searchResults = await this.searchCodebase(step.target || '', projectId);
-            break;
-          case 'locate':
-            context.relevantFiles = await this.locateFiles(step.target || taskDescription, projectId);
-            break;
-        }
+// Override the default rate limit and quota for one user; null falls back to the default
+app.put('/v1/admin/usage-limits/:userId', requireAdmin, async (req, res) => {
+  try {
+    const limits = {};
+    for (const field of ['requests_per_minute', 'monthly_token_quota']) {
+      const value = req.body[field];
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
       }
+      limits[field] = value ?? null;
     }
-    
-    // 3. Execution phase with context
-    const executionPrompt = `You are an autonomous coding agent with GitHub commit capabilities. Execute this task:
 
-Task: ${taskDescription}
+    const row = await db.usageLimits.upsert({
+      user_id: req.params.userId,
+      ...limits,
+      updated_at: new Date().toISOString()
+    }, ['user_id']);
 
-Plan: ${JSON.stringify(plan, null, 2)}
+    res.json(row);
+  } catch (error) {
+    console.error('Usage limit update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Context: ${JSON.stringify(context, null, 2)}
+// GITHUB CREDENTIALS
+// A user registers one GitHub credential: a personal access token, or an installation of the
+// server's GitHub App (GITHUB_APP_ID / GITHUB_APP_PRIVATE_KEY). Tokens are stored AES-256-GCM
+// encrypted under CREDENTIALS_ENCRYPTION_KEY and are never returned by the API.
 
-Based on the plan and context, provide the exact code changes needed. You MUST format your response as valid JSON:
+const CREDENTIAL_TYPES = ['pat', 'app'];
+const INSTALLATION_TOKEN_MARGIN_MS = 5 * 60 * 1000; // refresh installation tokens this long before expiry
+const installationTokens = new Map(); // installation id -> { token, expiresAt }
 
-{
-  "changes": [
-    {"type": "create", "file": "src/components/Hero.jsx", "content": "import React from 'react';\\n\\nconst Hero = () => {\\n  return (\\n    <div>Hero Component</div>\\n  );\\n};\\n\\nexport default Hero;"},
-    {"type": "update", "file": "src/App.jsx", "content": "updated file content here"}
-  ],
-  "reasoning": "Created Hero component and updated App.jsx to use it"
-}
+const credentialsKey = () => {
+  if (!process.env.CREDENTIALS_ENCRYPTION_KEY) {
+    throw new Error('Credential vault is not configured (CREDENTIALS_ENCRYPTION_KEY)');
+  }
+  return crypto.createHash('sha256').update(process.env.CREDENTIALS_ENCRYPTION_KEY).digest();
+};
 
-Make actual working React components with Tailwind CSS that can be directly applied to GitHub.`;
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', credentialsKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
 
-    const response = await this.callClaudeAPI(executionPrompt);
-    
+const decryptSecret = (payload) => {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== 'v1') throw new Error(`Unsupported credential format ${version}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', credentialsKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Short-lived JWT that authenticates as the GitHub App itself
+const githubAppJwt = () => {
+  if (!process.env.GITHUB_APP_ID || !process.env.GITHUB_APP_PRIVATE_KEY) {
+    throw new Error('GitHub App is not configured (GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY)');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat: now - 60, exp: now + 540, iss: process.env.GITHUB_APP_ID })}`;
+  const privateKey = process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  return `${unsigned}.${crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url')}`;
+};
+
+// Exchange the code from the GitHub App's OAuth redirect for a user-to-server token
+const exchangeOAuthCode = async (code) => {
+  if (!process.env.GITHUB_APP_CLIENT_ID || !process.env.GITHUB_APP_CLIENT_SECRET) {
+    throw new Error('GitHub App OAuth is not configured (GITHUB_APP_CLIENT_ID, GITHUB_APP_CLIENT_SECRET)');
+  }
+  const { data } = await axios.post('https://github.com/login/oauth/access_token', {
+    client_id: process.env.GITHUB_APP_CLIENT_ID,
+    client_secret: process.env.GITHUB_APP_CLIENT_SECRET,
+    code
+  }, { headers: { Accept: 'application/json' } });
+  if (data.error) {
+    const error = new Error(data.error_description || data.error);
+    error.status = 400;
+    throw error;
+  }
+  return data.access_token;
+};
+
+// Organization an installation belongs to, or null for installations on personal accounts
+const installationOrganization = async (installationId) => {
+  const { data: installation } = await new Octokit({ auth: githubAppJwt() }).apps.getInstallation({ installation_id: installationId });
+  return installation.account.type === 'Organization' ? installation.account.login : null;
+};
+
+// Installation tokens last an hour; reuse one until it is about to expire
+const getInstallationToken = async (installationId) => {
+  const cached = installationTokens.get(installationId);
+  if (cached && cached.expiresAt - INSTALLATION_TOKEN_MARGIN_MS > Date.now()) return cached.token;
+
+  const octokit = new Octokit({ auth: githubAppJwt() });
+  const { data } = await octokit.apps.createInstallationAccessToken({ installation_id: installationId });
+  installationTokens.set(installationId, { token: data.token, expiresAt: new Date(data.expires_at).getTime() });
+  return data.token;
+};
+
+const getGitHubCredential = async (userId) => (userId ? db.githubCredentials.findOne({ user_id: String(userId) }) : null);
+
+// Token for GitHub calls made for a user: their registered credential, or else the token
+// the request carried, for clients that haven't registered one
+const resolveGitHubToken = async (userId, requestToken) => {
+  const credential = await getGitHubCredential(userId);
+  if (!credential) return requestToken;
+  return credential.type === 'app'
+    ? getInstallationToken(credential.installation_id)
+    : decryptSecret(credential.encrypted_token);
+};
+
+const describeCredential = (credential) => ({
+  user_id: credential.user_id,
+  type: credential.type,
+  github_login: credential.github_login,
+  installation_id: credential.installation_id || undefined,
+  created_at: credential.created_at,
+  updated_at: credential.updated_at
+});
+
+// Admin keys act for the user named in the request, other keys for their own user
+const credentialUserId = (req) => (req.auth.admin ? req.body.user_id || req.query.user_id : req.auth.userId);
+
+// Register (or replace) the caller's GitHub credential after checking that GitHub accepts it
+app.put('/v1/github/credentials', async (req, res) => {
+  try {
+    const userId = credentialUserId(req);
+    const { type = 'pat', token, installation_id, code } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'user_id is required' });
+    }
+    if (!CREDENTIAL_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${CREDENTIAL_TYPES.join(', ')}` });
+    }
+    if (type === 'pat' ? !token : !installation_id || !code) {
+      return res.status(400).json({ error: type === 'pat' ? 'token is required' : 'installation_id and code are required' });
+    }
+
+    let record;
     try {
-      const result = JSON.parse(response.choices[0].message.content);
-      
-      // Apply the patches
-      if (result.changes && result.changes.length > 0) {
-        const commits = await this.applyPatch(result.changes, projectId, githubToken);
-        return {
-          success: true,
-          changes: result.changes,
-          reasoning: result.reasoning,
-          commits: commits,
-          plan: plan
-        };
+      if (type === 'pat') {
+        const { data: user } = await new Octokit({ auth: token }).users.getAuthenticated();
+        record = { github_login: user.login, encrypted_token: encryptSecret(token), installation_id: null };
+      } else {
+        // The App's OAuth code proves which GitHub user is registering; only installations
+        // that user can access are accepted
+        const installationId = Number(installation_id);
+        const userOctokit = new Octokit({ auth: await exchangeOAuthCode(code) });
+        const { data: user } = await userOctokit.users.getAuthenticated();
+        const installations = await userOctokit.paginate(userOctokit.apps.listInstallationsForAuthenticatedUser, { per_page: 100 });
+        const installation = installations.find(candidate => candidate.id === installationId);
+        if (!installation) {
+          return res.status(403).json({ error: `Installation ${installationId} is not accessible to GitHub user ${user.login}` });
+        }
+        installationTokens.delete(installationId);
+        await getInstallationToken(installationId);
+        record = { github_login: installation.account.login, encrypted_token: null, installation_id: installationId };
       }
-      
-      return { success: false, error: "No changes generated", response: response.choices[0].message.content };
     } catch (error) {
-      return { success: false, error: "Failed to parse agent response", raw: response.choices[0].message.content };
+      if (error.status) {
+        return res.status(400).json({ error: `GitHub rejected the credential: ${error.message}` });
+      }
+      throw error;
     }
+
+    const credential = await db.githubCredentials.upsert(
+      { user_id: userId, type, ...record, updated_at: new Date().toISOString() },
+      ['user_id']
+    );
+
+    res.json(describeCredential(credential));
+  } catch (error) {
+    console.error('GitHub credential error:', error.message);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Initialize agent
-const agent = new RefactAgent();
+app.get('/v1/github/credentials', async (req, res) => {
+  try {
+    const credential = await getGitHubCredential(credentialUserId(req));
+    if (!credential) {
+      return res.status(404).json({ error: 'No GitHub credential registered' });
+    }
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'refact-agent-full',
-    version: '3.0.0',
-    features: ['agent-tools', 'autonomous-patching', 'github-integration', 'supabase-chat'],
-    agent_tools: Object.keys(agent.tools),
-    timestamp: new Date().toISOString() 
-  });
+    res.json(describeCredential(credential));
+  } catch (error) {
+    console.error('GitHub credential error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Enhanced capabilities
-app.get('/v1/caps', (req, res) => {
-  res.json({
-    "chat_models": {
-      "claude-3-5-sonnet": {
-        "n_ctx": 200000,
-        "supports_tools": true,
-        "supports_multimodality": true,
-        "supports_agent": true,
-        "supports_reasoning": true,
-        "supports_complex_apps": true,
-        "supports_databases": true,
-        "supports_github": true,
-        "supports_persistent_chat": true,
-        "supports_autonomous_patching": true,
-        "supports_agent_tools": true
-      }
-    },
-    "agent_tools": {
-      "search": "Find similar code using text search",
-      "tree": "Get file tree with symbols",
-      "cat": "Read multiple files", 
-      "locate": "Find relevant files for tasks",
-      "patch": "Apply changes to files and commit to GitHub",
-      "think": "Analyze complex problems and create execution plans",
-      "web": "Fetch web pages for documentation"
-    },
-    "version": "3.0.0"
-  });
+app.delete('/v1/github/credentials', async (req, res) => {
+  try {
+    const credential = await getGitHubCredential(credentialUserId(req));
+    if (!credential) {
+      return res.status(404).json({ error: 'No GitHub credential registered' });
+    }
+
+    await db.githubCredentials.remove({ user_id: credential.user_id });
+    if (credential.installation_id) installationTokens.delete(credential.installation_id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('GitHub credential error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start server
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`🤖 Refact.ai Agent running on port ${PORT}`);
+  console.log(`📡 Health check: http://localhost:${PORT}/health`);
+  console.log(`🛠️ Agent Tools: ${Object.keys(agent.tools).join(', ')}`);
+  console.log(`🔧 Autonomous patching enabled`);
 });
 
-// Create new project with workspace
-app.post('/v1/projects/create', async (req, res) => {
-  try {
-    const { project_name, github_token, complexity = 'simple', user_id } = req.body;
-    
-    const slug = project_name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
-    
-    // Create GitHub repository
-    const octokit = new Octokit({ auth: github_token });
-    const repo = await octokit.repos.createForAuthenticatedUser({
-      name: slug,
-      description: `${complexity} app created with Refact Agent`,
-      private: false,
-      auto_init: true
-    });
-    
-    // Store project in Supabase
-    const { data: project, error } = await supabase
-      .from('projects')
-      .insert({
-        name: project_name,
-        slug: slug,
-        complexity,
-        github_repo: repo.data.html_url,
-        github_clone_url: repo.data.clone_url,
-        owner: repo.data.owner.login,
-        repo_name: slug,
-        user_id: user_id || null
-      })
-      .select()
-      .single();
+// CHAT SESSIONS
 
-    if (error) throw error;
+const MESSAGE_PAGE_SIZE = 50;
+const MESSAGE_PAGE_MAX = 200;
+const PREVIEW_LENGTH = 200;
 
-    // Create workspace for agent
-    agent.workspaces.set(project.id, {
-      id: project.id,
-      owner: repo.data.owner.login,
-      repo: slug,
-      files: {}
-    });
+// Fields copied when a session is forked
+const MESSAGE_FIELDS = ['role', 'content', 'action_taken', 'run_id', 'changeset_id', 'commits', 'timestamp'];
 
-    // Generate initial project structure
-    const projectStructure = generateProjectStructure(complexity);
-    
-    // Add to workspace
-    agent.workspaces.get(project.id).files = projectStructure;
-    
-    // Commit initial files
-    await commitFilesToRepo(octokit, repo.data.owner.login, slug, projectStructure);
-    
-    res.json({
-      project_id: project.id,
-      project_slug: project.slug,
-      github_repo_url: repo.data.html_url,
-      clone_url: repo.data.clone_url,
-      complexity,
-      agent_ready: true,
-      initial_structure: Object.keys(projectStructure)
-    });
-    
+// Message cursors are opaque to clients; they wrap the timestamp and id of the message
+// pages continue before, since messages saved in one request can share a timestamp
+const encodeCursor = (message) => Buffer.from(JSON.stringify({ timestamp: message.timestamp, id: message.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { timestamp, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return typeof id === 'string' && !isNaN(Date.parse(timestamp)) ? { timestamp, id } : null;
   } catch (error) {
-    console.error('Project creation error:', error);
+    return null;
+  }
+};
+
+const messagePreview = (message) => message && {
+  id: message.id,
+  role: message.role,
+  content: message.content.length > PREVIEW_LENGTH ? `${message.content.slice(0, PREVIEW_LENGTH)}...` : message.content,
+  timestamp: message.timestamp
+};
+
+app.param('sessionId', async (req, res, next, sessionId) => {
+  try {
+    const session = await getProjectSession(req.project, sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    req.chatSession = session;
+    next();
+  } catch (error) {
+    console.error('Session lookup error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// AUTONOMOUS AGENT CHAT - Full capabilities
-app.post('/v1/projects/:projectId/agent', async (req, res) => {
+// Sessions of a project, newest first, with a preview of each one's last message
+app.get('/v1/projects/:projectId/sessions', async (req, res) => {
   try {
-    const { projectId } = req.params;
-    const { task, github_token, auto_approve = false } = req.body;
-    
-    // Get project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('*')
-      .or(`id.eq.${projectId},slug.eq.${projectId}`)
-      .single();
-      
-    if (projectError || !project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+    const project = req.project;
 
-    // Ensure workspace exists
-    if (!agent.workspaces.has(project.id)) {
-      // Load workspace from GitHub
-      const octokit = new Octokit({ auth: github_token });
-      const workspace = await loadWorkspaceFromGitHub(octokit, project);
-      agent.workspaces.set(project.id, workspace);
-    }
+    const sessions = await db.sessions.find(
+      { project_id: project.id, deleted_at: null },
+      { order: { column: 'created_at', ascending: false } }
+    );
+    const lastMessages = await Promise.all(sessions.map(session => db.messages.findOne(
+      { session_id: session.id },
+      { order: { column: 'timestamp', ascending: false } }
+    )));
 
-    // Execute autonomous agent workflow
-    const result = await agent.executeAgentWorkflow(task, project.id, github_token);
-    
     res.json({
-      success: result.success,
-      task: task,
-      plan: result.plan,
-      changes: result.changes,
-      reasoning: result.reasoning,
-      commits: result.commits,
-      github_repo: project.github_repo,
-      error: result.error,
-      raw_response: result.raw
+      sessions: sessions.map((session, i) => ({ ...session, last_message: messagePreview(lastMessages[i]) }))
     });
-
   } catch (error) {
-    console.error('Agent execution error:', error);
+    console.error('Session list error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper functions
-const loadWorkspaceFromGitHub = async (octokit, project) => {
-  const workspace = {
-    id: project.id,
-    owner: project.owner,
-    repo: project.repo_name,
-    files: {}
-  };
-  
+// Start a new thread; chat requests without a session_id continue the newest one
+app.post('/v1/projects/:projectId/sessions', async (req, res) => {
   try {
-    const { data: contents } = await octokit.repos.getContent({
-      owner: project.owner,
-      repo: project.repo_name,
-      path: ''
+    const project = req.project;
+
+    const session = await db.sessions.create({
+      project_id: project.id,
+      user_id: project.user_id,
+      session_name: req.body.session_name || 'New Chat'
     });
-    
-    for (const item of contents) {
-      if (item.type === 'file') {
-        const { data: file } = await octokit.repos.getContent({
-          owner: project.owner,
-          repo: project.repo_name,
-          path: item.path
-        });
-        
-        workspace.files[item.path] = Buffer.from(file.content, 'base64').toString();
-      }
-    }
+
+    res.status(201).json(session);
   } catch (error) {
-    console.error('Error loading workspace:', error.message);
+    console.error('Session creation error:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  return workspace;
-};
+});
 
-const commitFilesToRepo = async (octokit, owner, repo, files) => {
-  const commits = [];
-  
-  for (const [filePath, content] of Object.entries(files)) {
-    try {
-      const result = await octokit.repos.createOrUpdateFileContents({
-        owner,
-        repo,
-        path: filePath,
-        message: `Add ${filePath}`,
-        content: Buffer.from(content).toString('base64')
-      });
-      commits.push(result.data.commit.sha);
-    } catch (error) {
-      console.error(`Error committing ${filePath}:`, error.message);
+app.get('/v1/projects/:projectId/sessions/:sessionId', (req, res) => {
+  res.json(req.chatSession);
+});
+
+app.patch('/v1/projects/:projectId/sessions/:sessionId', async (req, res) => {
+  try {
+    const { session_name } = req.body;
+    if (typeof session_name !== 'string' || !session_name.trim()) {
+      return res.status(400).json({ error: 'session_name is required' });
     }
+
+    const session = await db.sessions.update(req.chatSession.id, { session_name: session_name.trim() });
+    res.json(session);
+  } catch (error) {
+    console.error('Session rename error:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  return commits;
-};
+});
 
-const generateProjectStructure = (complexity) => {
-  return {
-    'src/App.jsx': `import React from 'react';
+// Soft delete: the session disappears from the API but its messages are kept
+app.delete('/v1/projects/:projectId/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await db.sessions.update(req.chatSession.id, { deleted_at: new Date().toISOString() });
+    res.json({ success: true, id: session.id, deleted_at: session.deleted_at });
+  } catch (error) {
+    console.error('Session delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-function App() {
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <h1 className="text-4xl font-bold text-center py-20">
-        Welcome to your Refact Agent project!
-      </h1>
-      <p className="text-center text-gray-600">
-        This project has autonomous agent capabilities
-      </p>
-    </div>
-  );
-}
+// Copy a session's history up to and including `message_id` (or all of it) into a new session
+app.post('/v1/projects/:projectId/sessions/:sessionId/fork', async (req, res) => {
+  try {
+    const { message_id, session_name } = req.body;
+    const project = req.project;
+    const source = req.chatSession;
 
-export default App;`,
-    'package.json': JSON.stringify({
-      name: "refact-agent-project",
-      version: "1.0.0",
-      dependencies: {
-        react: "^18.0.0",
-        "react-dom": "^18.0.0",
-        "@tailwindcss/forms": "^0.5.0"
+    let messages = await db.messages.find(
+      { session_id: source.id },
+      { order: { column: 'timestamp', ascending: true } }
+    );
+    if (message_id) {
+      const index = messages.findIndex(message => message.id === String(message_id));
+      if (index === -1) {
+        return res.status(404).json({ error: 'Message not found in this session' });
       }
-    }, null, 2),
-    'README.md': `# Refact Agent Project
+      messages = messages.slice(0, index + 1);
+    }
 
-This project was created with autonomous agent capabilities.
+    const session = await db.sessions.create({
+      project_id: project.id,
+      user_id: project.user_id,
+      session_name: session_name || `${source.session_name || 'Chat'} (fork)`,
+      parent_session_id: source.id,
+      forked_from_message_id: message_id ? String(message_id) : null
+    });
+    // Sequential, so the copies keep their order
+    for (const message of messages) {
+      await db.messages.create({ ...pickColumns(message, MESSAGE_FIELDS), session_id: session.id });
+    }
 
-## Features
-- Autonomous code generation
-- GitHub integration
-- Real-time file patching
-- Agent tool support
+    res.status(201).json({ ...session, message_count: messages.length });
+  } catch (error) {
+    console.error('Session fork error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-## Getting Started
-\`\`\`bash
-npm install
-npm start
-\`\`\`
-`
-  };
-};
+// Newest messages first page by page: each page is in chronological order and
+// `next_cursor` fetches the messages before it
+app.get('/v1/projects/:projectId/sessions/:sessionId/messages', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, MESSAGE_PAGE_MAX);
+    const before = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !before) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🤖 Refact.ai Agent running on port ${PORT}`);
-  console.log(`📡 Health check: http://localhost:${PORT}/health`);
-  console.log(`🛠️ Agent Tools: ${Object.keys(agent.tools).join(', ')}`);
-  console.log(`🔧 Autonomous patching enabled`);
+    // Newest first by (timestamp, id), continuing after the cursor's message
+    const rows = await db.messages.find({ session_id: req.chatSession.id }, {
+      order: [{ column: 'timestamp', ascending: false }, { column: 'id', ascending: false }],
+      after: before || undefined,
+      limit: limit + 1
+    });
+    const hasMore = rows.length > limit;
+    const messages = rows.slice(0, limit).reverse();
+
+    res.json({
+      messages,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(messages[0]) : null
+    });
+  } catch (error) {
+    console.error('Session messages error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // CHAT INTERFACE WITH SUPABASE PERSISTENCE (Missing endpoint)
 
 // Chat with project (approve, modify, ask questions)
-app.post('/v1/projects/:projectId/chat', async (req, res) => {
+app.post('/v1/projects/:projectId/chat', rateLimit, async (req, res) => {
   try {
-    const { projectId } = req.params;
-    const { message, github_token, session_id } = req.body;
-    
-    // Get project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('*')
-      .or(`id.eq.${projectId},slug.eq.${projectId}`)
-      .single();
-      
-    if (projectError || !project) {
-      return res.status(404).json({ error: 'Project not found' });
+    const { message, github_token, session_id, auto_approve = false, provider, model } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'message is required' });
     }
+    
+    const project = req.project;
+    const githubToken = await resolveGitHubToken(project.user_id, github_token);
 
     // Get or create chat session
     let chatSession;
     if (session_id) {
-      const { data } = await supabase
-        .from('chat_sessions')
-        .select('*')
-        .eq('id', session_id)
-        .single();
-      chatSession = data;
+      chatSession = await getProjectSession(project, session_id);
+      if (!chatSession) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
     } else {
-      // Get the main session or create one
-      const { data: sessions } = await supabase
-        .from('chat_sessions')
-        .select('*')
-        .eq('project_id', project.id)
-        .limit(1);
-        
-      if (sessions && sessions.length > 0) {
-        chatSession = sessions[0];
-      } else {
-        const { data: newSession } = await supabase
-          .from('chat_sessions')
-          .insert({
-            project_id: project.id,
-            session_name: 'Main Chat'
-          })
-          .select()
-          .single();
-        chatSession = newSession;
+      // Continue the newest session, or start one
+      chatSession = await db.sessions.findOne(
+        { project_id: project.id, deleted_at: null },
+        { order: { column: 'created_at', ascending: false } }
+      );
+      if (!chatSession) {
+        chatSession = await db.sessions.create({
+          project_id: project.id,
+          user_id: project.user_id,
+          session_name: 'Main Chat'
+        });
       }
     }
 
     // Get chat history
-    const { data: chatHistory } = await supabase
-      .from('chat_messages')
-      .select('*')
-      .eq('session_id', chatSession.id)
-      .order('timestamp', { ascending: true });
+    const chatHistory = await db.messages.find(
+      { session_id: chatSession.id },
+      { order: { column: 'timestamp', ascending: true } }
+    );
 
     // Add user message to history
-    await supabase
-      .from('chat_messages')
-      .insert({
-        session_id: chatSession.id,
-        role: 'user',
-        content: message
-      });
+    await db.messages.create({
+      session_id: chatSession.id,
+      role: 'user',
+      content: message,
+      timestamp: new Date().toISOString()
+    });
 
     // Analyze user intent
-    const intent = analyzeUserIntent(message);
+    const account = accountOf(req, chatSession.id);
+    const pendingChangeset = await getLatestPendingChangeset(project, chatSession.id);
+    const intent = await classifyIntent(message, { project, chatHistory, pendingChangeset }, { provider, model, account });
+    const task = intent.arguments.task ?? message;
     let response = '';
     let action_taken = null;
+    let changeset_id = null;
+    // What the reply produced, linked from the stored message
+    let run_id = null;
+    let commits = [];
+    let context_files = [];
+
+    if (intent.type === 'unknown_command') {
+      response = `❓ I don't know the command \`/${intent.command}\`. Try ` +
+                Object.keys(SLASH_COMMANDS).map(command => `\`/${command}\``).join(', ') + '.';
+      action_taken = 'unknown_command';
+
+    } else if (DESTRUCTIVE_INTENTS.includes(intent.type) && intent.confidence < INTENT_CONFIDENCE_THRESHOLD) {
+      // Never commit, change or discard code on a guess
+      response = clarifyingQuestion(intent);
+      action_taken = 'clarification_needed';
 
-    if (intent.type === 'approve') {
-      // User wants to approve and commit using agent
-      if (!agent.workspaces.has(project.id)) {
-        const octokit = new Octokit({ auth: github_token });
-        const workspace = await loadWorkspaceFromGitHub(octokit, project);
-        agent.workspaces.set(project.id, workspace);
+    } else if (intent.type === 'modify' && !task.trim()) {
+      response = "✏️ What would you like me to change? For example: `/modify add a footer with contact links`";
+      action_taken = 'clarification_needed';
+
+    } else if (intent.type === 'approve') {
+      // User wants to approve and commit the changes proposed earlier in this session
+      const changeset = pendingChangeset;
+
+      if (!changeset) {
+        response = "🤷 There are no pending changes to commit right now. Tell me what you'd like to change first!";
+        action_taken = 'nothing_to_approve';
+      } else {
+        try {
+          const approved = await approveChangeset(project, changeset, githubToken, intent.arguments.files);
+          response = "✅ Perfect! I've committed your changes to GitHub! 🚀\n\n" +
+                    `**Files committed:**\n${approved.applied_files.map(file => `- ${file}`).join('\n')}\n\n` +
+                    (approved.pull_request_url
+                      ? "Review and merge the pull request: " + approved.pull_request_url
+                      : "Your website is now live at: " + project.github_repo);
+          action_taken = 'committed_to_github';
+          changeset_id = changeset.id;
+          run_id = changeset.run_id || null;
+          commits = approved.commits;
+        } catch (error) {
+          response = "❌ I had trouble committing to GitHub: " + error.message;
+          action_taken = 'commit_failed';
+        }
       }
 
-      // Use agent to commit the current state
-      const result = await agent.executeAgentWorkflow(
-        "Commit all current changes to GitHub", 
-        project.id, 
-        github_token
+    } else if (intent.type === 'undo') {
+      // Pending proposals are discarded; otherwise the session's last committed run is reverted
+      const lastRun = pendingChangeset ? null : await db.runs.findOne(
+        { project_id: project.id, session_id: chatSession.id, status: 'completed' },
+        { order: { column: 'started_at', ascending: false } }
       );
-      
-      if (result.success) {
-        response = "✅ Perfect! I've committed your code to GitHub using the autonomous agent! 🚀\n\nYour website is now live at: " + project.github_repo;
-        action_taken = 'committed_to_github';
+
+      if (pendingChangeset) {
+        await db.changesets.update(pendingChangeset.id, {
+          status: 'rejected',
+          rejection_reason: 'Discarded from chat',
+          resolved_at: new Date().toISOString()
+        });
+        if (pendingChangeset.run_id) await updateRun(pendingChangeset.run_id, { status: 'rejected' });
+        response = "↩️ Done, I've discarded the proposed changes:\n\n" +
+                  pendingChangeset.changes.map(change => `- ${change.type}: ${change.file}`).join('\n');
+        action_taken = 'changes_discarded';
+        changeset_id = pendingChangeset.id;
+        run_id = pendingChangeset.run_id || null;
+      } else if (!lastRun) {
+        response = "🤷 There's nothing to undo in this chat yet.";
+        action_taken = 'nothing_to_undo';
       } else {
-        response = "❌ I had trouble committing to GitHub: " + (result.error || 'Unknown error');
-        action_taken = 'commit_failed';
+        run_id = lastRun.id;
+        try {
+          const reverted = await revertRun(project, lastRun, githubToken);
+          commits = reverted.commits;
+          response = "↩️ Done, I've reverted the last change and committed the revert to GitHub:\n\n" +
+                    reverted.changes.map(change => `- ${change.file}`).join('\n');
+          action_taken = 'run_reverted';
+        } catch (error) {
+          response = "❌ I couldn't undo that change: " + error.message +
+                    (error.conflicts ? '\n\n' + error.conflicts.map(conflict => `- ${conflict.file}: ${conflict.reason}`).join('\n') : '');
+          action_taken = 'revert_failed';
+        }
       }
 
-    } else if (intent.type === 'deploy' || message.toLowerCase().includes('see the website') || message.toLowerCase().includes('final html')) {
+    } else if (intent.type === 'deploy') {
       // User wants to see the deployed website
       response = `🌐 To see your completed website, you have a few options:
 
@@ -669,9 +5155,48 @@ Would you like me to help you set up automatic deployment?`;
 
     } else if (intent.type === 'modify') {
       // User wants to modify the code using agent
-      const result = await agent.executeAgentWorkflow(message, project.id, github_token);
+      assertWritableWorkspace(await syncWorkspace(project, githubToken));
+
+      // Sessions with an open agent PR keep pushing follow-ups to it unless told otherwise
+      const mode = req.body.mode || (chatSession.pr_branch ? 'pull_request' : 'direct');
+      const target = mode === 'pull_request'
+        ? await preparePullRequestTarget(project, chatSession.id, task, githubToken)
+        : null;
+
+      const result = await agent.executeAgentWorkflow(task, project.id, githubToken, {
+        provider,
+        model,
+        account,
+        autoApprove: auto_approve,
+        branch: target ? target.branch : undefined,
+        baseBranch: target ? target.baseBranch : undefined,
+        workspaceId: target ? target.workspaceId : undefined
+      });
+      run_id = result.run_id;
+      commits = result.commits || [];
       
-      if (result.success) {
+      if (result.success && result.pending) {
+        const changeset = await createChangeset(project, chatSession.id, task, result, target);
+        response = "📝 I've prepared these changes for your review:\n\n" +
+                  `**Proposed changes:**\n${result.changes.map(c => `- ${c.type}: ${c.file}`).join('\n')}\n\n` +
+                  `**Reasoning:** ${result.reasoning}\n\n` +
+                  "💬 Say \"approve\" (or `/commit`) to commit them to GitHub, `/undo` to discard them, or tell me what to adjust.";
+        action_taken = 'changes_proposed';
+        changeset_id = changeset.id;
+      } else if (result.success && target) {
+        const pullRequest = await publishPullRequest(project, target, {
+          task,
+          plan: result.plan,
+          reasoning: result.reasoning,
+          changes: result.changes,
+          commits: result.commits
+        }, githubToken);
+        response = "✨ Great! I've pushed your changes to a pull request:\n\n" +
+                  `**Changes made:**\n${result.changes.map(c => `- ${c.type}: ${c.file}`).join('\n')}\n\n` +
+                  `**Reasoning:** ${result.reasoning}\n\n` +
+                  `🔀 Review and merge it here: ${pullRequest.url}`;
+        action_taken = 'pull_request_updated';
+      } else if (result.success) {
         response = "✨ Great! I've updated your code using the autonomous agent:\n\n" + 
                   `**Changes made:**\n${result.changes.map(c => `- ${c.type}: ${c.file}`).join('\n')}\n\n` +
                   `**Reasoning:** ${result.reasoning}\n\n` +
@@ -684,26 +5209,45 @@ Would you like me to help you set up automatic deployment?`;
 
     } else {
       // General conversation
-      const conversationPrompt = buildConversationPrompt(message, chatHistory, project);
-      const aiResponse = await agent.callClaudeAPI(conversationPrompt);
+      const conversation = await buildConversation(project, chatSession, chatHistory, intent.arguments.question || message, {
+        provider,
+        model,
+        account,
+        githubToken
+      });
+      const aiResponse = await agent.callLLM(conversation.messages, {
+        provider,
+        model,
+        account,
+        system: conversation.system,
+        purpose: 'chat'
+      });
       
       response = aiResponse.choices[0].message.content;
       action_taken = 'general_chat';
+      context_files = conversation.files;
     }
 
     // Add AI response to history
-    await supabase
-      .from('chat_messages')
-      .insert({
-        session_id: chatSession.id,
-        role: 'assistant',
-        content: response,
-        action_taken
-      });
+    await db.messages.create({
+      session_id: chatSession.id,
+      role: 'assistant',
+      content: response,
+      action_taken,
+      run_id,
+      changeset_id,
+      commits,
+      timestamp: new Date().toISOString()
+    });
 
     res.json({
       message: response,
       action_taken,
+      changeset_id,
+      run_id,
+      commits,
+      context_files,
+      intent: { type: intent.type, confidence: intent.confidence, source: intent.source },
       session_id: chatSession.id,
       project_info: {
         id: project.id,
@@ -715,45 +5259,202 @@ Would you like me to help you set up automatic deployment?`;
 
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Helper functions for chat
+
+// Slash commands skip classification entirely
+const SLASH_COMMANDS = {
+  commit: 'approve',
+  approve: 'approve',
+  modify: 'modify',
+  deploy: 'deploy',
+  undo: 'undo',
+  ask: 'general'
+};
+
+// Intents that commit, change or discard code; below this confidence the chat asks first
+const DESTRUCTIVE_INTENTS = ['approve', 'modify', 'undo'];
+const INTENT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD || '0.6');
+
+const parseSlashCommand = (message) => {
+  const match = message.trim().match(/^\/(\w+)\s*([\s\S]*)$/);
+  if (!match) return null;
+
+  const command = match[1].toLowerCase();
+  const text = match[2].trim();
+  const type = SLASH_COMMANDS[command];
+  if (!type) return { type: 'unknown_command', command, confidence: 1, arguments: {}, source: 'command' };
+
+  const args = type === 'modify' ? { task: text } : type === 'general' ? { question: text } : {};
+  return { type, confidence: 1, arguments: args, source: 'command' };
+};
+
+// Keyword fallback for when the classifier is unavailable. Messages matching several
+// intents, or phrased as questions, come back with low confidence.
 const analyzeUserIntent = (message) => {
   const msg = message.toLowerCase();
-  
-  if (msg.includes('commit') || msg.includes('approve') || msg.includes('looks good') || 
-      msg.includes('perfect') || msg.includes('push')) {
-    return { type: 'approve' };
-  }
-  
+  const matched = [];
+
+  if (/\b(commit|approve|looks good|perfect|push)\b/.test(msg)) matched.push('approve');
   if (msg.includes('deploy') || msg.includes('see the website') || msg.includes('final html') ||
       msg.includes('live version') || msg.includes('view the site')) {
-    return { type: 'deploy' };
+    matched.push('deploy');
   }
-  
-  if (msg.includes('change') || msg.includes('modify') || msg.includes('update') ||
-      msg.includes('make it') || msg.includes('add') || msg.includes('remove')) {
-    return { type: 'modify' };
+  if (/\b(undo|revert|discard|roll ?back)\b/.test(msg)) matched.push('undo');
+  if (/\b(change|modify|update|make it|add|remove)\b/.test(msg)) matched.push('modify');
+
+  if (matched.length === 0) return { type: 'general', confidence: 0.5, arguments: {}, source: 'keywords' };
+
+  const question = /\?\s*$/.test(msg) || /^(what|why|how|where|when|which|who|does|is|are|can)\b/.test(msg);
+  return {
+    type: matched[0],
+    confidence: matched.length > 1 || question ? 0.3 : 0.7,
+    arguments: {},
+    source: 'keywords'
+  };
+};
+
+// Ask the model what the user wants; falls back to keyword rules if the call or its JSON fails
+const classifyIntent = async (message, context, options = {}) => {
+  const command = parseSlashCommand(message);
+  if (command) return command;
+
+  const history = context.chatHistory.slice(-4).map(msg => `${msg.role}: ${msg.content}`).join('\n');
+  const prompt = `Classify the latest message of a user chatting with a coding agent about their ${context.project.name} project.
+
+Intents:
+- approve: commit the changes proposed earlier${context.pendingChangeset ? ` (pending: ${context.pendingChangeset.changes.map(change => change.file).join(', ')})` : ' (nothing is pending right now)'}
+- modify: change the project's code
+- deploy: see or deploy the live website
+- undo: discard the proposed changes, or revert the last committed change
+- general: anything else, including questions about the code
+
+${history ? `Recent conversation:\n${history}\n\n` : ''}Latest message: ${message}
+
+Respond with ONLY valid JSON:
+{"intent": "approve|modify|deploy|undo|general", "confidence": 0.0-1.0, "arguments": {"task": "the requested change, for modify", "question": "the question, for general", "files": ["files to approve, if the user named some"]}, "clarification": "a question to ask if the intent is unclear"}`;
+
+  try {
+    const messages = [{ role: 'user', content: prompt }];
+    const llm = { provider: options.provider, model: options.model, account: options.account };
+    const response = await agent.callLLM(messages, { ...llm, purpose: 'intent' });
+    const parsed = await agent.parseWithRepair(response.choices[0].message.content, INTENT_SCHEMA, messages, { ...llm, retries: 1 });
+    if (parsed.errors.length > 0) throw new Error(parsed.errors.join('; '));
+
+    return {
+      type: parsed.value.intent,
+      confidence: Math.min(Math.max(parsed.value.confidence, 0), 1),
+      arguments: parsed.value.arguments || {},
+      clarification: parsed.value.clarification,
+      source: 'model'
+    };
+  } catch (error) {
+    if (error.status === 429) throw error;
+    console.error('Intent classification failed, using keyword rules:', error.message);
+    return analyzeUserIntent(message);
   }
-  
-  return { type: 'general' };
 };
 
-const buildConversationPrompt = (userMessage, chatHistory, project) => {
-  let prompt = `You are an AI assistant helping with the ${project.name} project. `;
-  
-  if (chatHistory && chatHistory.length > 0) {
-    prompt += `Previous conversation:\n`;
-    chatHistory.slice(-4).forEach(msg => {
-      prompt += `${msg.role}: ${msg.content}\n`;
+const clarifyingQuestion = (intent) => {
+  if (intent.clarification) return intent.clarification;
+  const guesses = {
+    approve: 'commit the proposed changes to GitHub',
+    modify: 'change the code',
+    undo: 'undo the last change'
+  };
+  return `🤔 Just to be sure: do you want me to ${guesses[intent.type]}? ` +
+    'Reply with `/commit`, `/modify <what to change>`, `/undo` or `/ask <question>` so I know exactly what to do.';
+};
+
+const CHAT_HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 4000;
+const CHAT_CONTEXT_FILES = 3;
+const CHAT_FILE_CHAR_LIMIT = 8000;
+
+const historyTokens = (turns) => turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+
+// Once the turns not yet summarized pass the budget, fold the oldest into the session's
+// summary and keep the newest verbatim within half of it
+const summarizeHistory = async (session, chatHistory, options = {}) => {
+  const summary = session.summary || '';
+  const turns = session.summarized_until
+    ? chatHistory.filter(turn => turn.timestamp > session.summarized_until)
+    : chatHistory;
+  if (historyTokens(turns) <= CHAT_HISTORY_TOKEN_BUDGET) return { summary, turns };
+
+  let keep = 1;
+  while (keep < turns.length && historyTokens(turns.slice(-(keep + 1))) <= CHAT_HISTORY_TOKEN_BUDGET / 2) keep++;
+  // Start the verbatim part on a user turn
+  while (keep > 0 && turns[turns.length - keep].role === 'assistant') keep--;
+  const folded = turns.slice(0, turns.length - keep);
+  const recent = turns.slice(turns.length - keep);
+  if (folded.length === 0) return { summary, turns };
+
+  const prompt = `Summarize this conversation between a user and the assistant helping with their project.
+Keep every decision, requested change, file name and open question; drop greetings and repetition.
+${summary ? `\nSummary so far:\n${summary}\n` : ''}
+Conversation to add:
+${folded.map(turn => `${turn.role}: ${turn.content}`).join('\n\n')}
+
+Respond with the updated summary only.`;
+
+  try {
+    const response = await agent.callLLM(prompt, {
+      provider: options.provider,
+      model: options.model,
+      account: options.account,
+      purpose: 'summary'
     });
-    prompt += `\n`;
+    const updated = response.choices[0].message.content.trim();
+    await db.sessions.update(session.id, { summary: updated, summarized_until: folded[folded.length - 1].timestamp });
+    return { summary: updated, turns: recent };
+  } catch (error) {
+    if (error.status === 429) throw error;
+    // Without a new summary the oldest turns are left out rather than overflowing the prompt
+    console.error('Chat summary failed:', error.message);
+    return { summary, turns: recent };
+  }
+};
+
+// The project files most relevant to the question, via the agent's locate and cat tools
+const findRelevantFiles = async (project, githubToken, query) => {
+  try {
+    await ensureWorkspace(project, githubToken);
+  } catch (error) {
+    console.error('Chat workspace unavailable:', error.message);
+    return {};
+  }
+  const located = await agent.locateFiles(query, project.id, { limit: CHAT_CONTEXT_FILES });
+  return agent.readFiles(located.filter(match => match.relevance > 0).map(match => match.file), project.id);
+};
+
+// Role-separated history for general chat, with the session summary and relevant code in the system prompt
+const buildConversation = async (project, session, chatHistory, userMessage, options = {}) => {
+  const { summary, turns } = await summarizeHistory(session, chatHistory, options);
+  // Follow-ups ("why is it blue?") are located together with the question before them
+  const previous = [...turns].reverse().find(turn => turn.role === 'user');
+  const files = await findRelevantFiles(project, options.githubToken, [previous && previous.content, userMessage].filter(Boolean).join('\n'));
+
+  const sections = [`You are an AI assistant helping with the ${project.name} project${project.github_repo ? ` (${project.github_repo})` : ''}.`];
+  if (summary) sections.push(`Summary of the earlier conversation:\n${summary}`);
+  if (Object.keys(files).length > 0) {
+    sections.push(`Relevant project files:\n\n${Object.entries(files).map(([file, content]) => {
+      const shown = content.length > CHAT_FILE_CHAR_LIMIT ? `${content.slice(0, CHAT_FILE_CHAR_LIMIT)}\n... (truncated)` : content;
+      return `--- ${file} ---\n${shown}`;
+    }).join('\n\n')}`);
   }
-  
-  prompt += `User: ${userMessage}\n\nRespond helpfully and conversationally. If they want to see their website, suggest deployment options.`;
-  
-  return prompt;
+  sections.push('Ground your answers in the project files above and name the files you refer to; say so when the answer is not in the files shown. Respond helpfully and conversationally. If they want to see their website, suggest deployment options.');
+
+  return {
+    system: sections.join('\n\n'),
+    messages: [
+      ...turns.map(turn => ({ role: turn.role === 'assistant' ? 'assistant' : 'user', content: turn.content })),
+      { role: 'user', content: userMessage }
+    ],
+    files: Object.keys(files)
+  };
 };
 
@@ -0,0 +1,170 @@
+-- Tables and columns used by the supabase storage backend and workspace store.
+-- projects, chat_sessions and chat_messages predate this migration and only gain columns.
+--
+-- The server connects with the service-role key, which bypasses row level security.
+-- Every table has RLS enabled without policies, so the anon and authenticated roles
+-- (anything holding the public anon key) can neither read nor write them.
+
+create extension if not exists pgcrypto;
+
+-- Projects belong to the user_id of the API keys that may reach them
+alter table projects add column if not exists user_id text;
+create index if not exists projects_user_id_idx on projects (user_id);
+
+-- API keys (only the SHA-256 hash of a key is stored)
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  name text,
+  scope text not null check (scope in ('read', 'write')),
+  key_hash text not null unique,
+  key_prefix text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+create index if not exists api_keys_user_id_idx on api_keys (user_id);
+
+-- One GitHub credential per user: an encrypted personal access token or an App installation
+create table if not exists github_credentials (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null unique,
+  type text not null check (type in ('pat', 'app')),
+  github_login text,
+  encrypted_token text,
+  installation_id bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Chat sessions: owner, soft delete, rolling summary, pull request and fork origin
+alter table chat_sessions add column if not exists user_id text;
+alter table chat_sessions add column if not exists deleted_at timestamptz;
+alter table chat_sessions add column if not exists summary text;
+alter table chat_sessions add column if not exists summarized_until timestamptz;
+alter table chat_sessions add column if not exists pr_branch text;
+alter table chat_sessions add column if not exists pr_number integer;
+alter table chat_sessions add column if not exists pr_url text;
+alter table chat_sessions add column if not exists parent_session_id uuid;
+alter table chat_sessions add column if not exists forked_from_message_id text;
+create index if not exists chat_sessions_project_id_idx on chat_sessions (project_id, created_at desc);
+
+-- Chat messages: the run, changeset and commits an assistant turn produced
+alter table chat_messages add column if not exists run_id uuid;
+alter table chat_messages add column if not exists changeset_id uuid;
+alter table chat_messages add column if not exists commits jsonb;
+create index if not exists chat_messages_session_id_idx on chat_messages (session_id, timestamp);
+
+-- Proposed changes of auto_approve: false runs, awaiting review
+create table if not exists changesets (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references projects (id) on delete cascade,
+  session_id uuid,
+  run_id uuid,
+  branch text,
+  base_branch text,
+  task text,
+  plan jsonb,
+  reasoning text,
+  changes jsonb not null default '[]',
+  diffs jsonb,
+  base_blobs jsonb not null default '{}',
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  applied_files jsonb,
+  commits jsonb,
+  pull_request_number integer,
+  pull_request_url text,
+  rejection_reason text,
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+create index if not exists changesets_project_id_idx on changesets (project_id, status, created_at desc);
+
+-- Agent run history
+create table if not exists agent_runs (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references projects (id) on delete cascade,
+  session_id uuid,
+  user_id text,
+  task text,
+  branch text,
+  base_branch text,
+  status text not null check (status in ('running', 'completed', 'pending', 'failed', 'aborted', 'rejected', 'reverted')),
+  plan jsonb,
+  changes jsonb,
+  reasoning text,
+  commits jsonb,
+  files jsonb,
+  usage jsonb,
+  steps integer,
+  error text,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  reverted_at timestamptz,
+  revert_commits jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists agent_runs_project_id_idx on agent_runs (project_id, started_at desc);
+
+-- One row per LLM call; kept when the project is deleted so quotas stay accurate
+create table if not exists usage_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id text,
+  project_id uuid,
+  session_id uuid,
+  provider text,
+  model text,
+  purpose text,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  total_tokens integer not null default 0,
+  latency_ms integer,
+  created_at timestamptz not null default now()
+);
+create index if not exists usage_events_user_id_idx on usage_events (user_id, created_at);
+
+-- Per-user overrides of RATE_LIMIT_PER_MINUTE and MONTHLY_TOKEN_QUOTA
+create table if not exists usage_limits (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null unique,
+  requests_per_minute integer,
+  monthly_token_quota bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Workspace snapshots (WORKSPACE_STORE=supabase)
+create table if not exists workspace_snapshots (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references projects (id) on delete cascade,
+  head_sha text not null,
+  ref text,
+  branch text,
+  owner text,
+  repo text,
+  files jsonb not null default '{}',
+  blobs jsonb not null default '{}',
+  filters jsonb,
+  created_at timestamptz not null default now(),
+  unique (project_id, head_sha)
+);
+alter table workspace_snapshots add column if not exists skipped jsonb not null default '[]';
+
+-- Deny the public roles everywhere; only the service role (which bypasses RLS) has access
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'projects', 'chat_sessions', 'chat_messages', 'api_keys', 'github_credentials',
+    'changesets', 'agent_runs', 'usage_events', 'usage_limits', 'workspace_snapshots'
+  ] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('revoke all on table %I from anon, authenticated', t);
+  end loop;
+end $$;
+
+-- Projects created before API keys have no owner (user_id is null) and are only reachable
+-- with ADMIN_API_KEY. Give each one the user_id its API keys are issued for, e.g.:
+--   update projects set user_id = 'alice' where slug = 'my-project';
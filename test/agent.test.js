@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const APP = `export default function App() {
+  return <h1>Hello</h1>;
+}
+`;
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: { 'src/App.jsx': APP },
+    // The plan, one tool call reading the file, then the final answer
+    responses: [
+      JSON.stringify({ understanding: [{ tool: 'cat', target: 'src/App.jsx' }], planning: ['Change the greeting'], execution: ['Edit src/App.jsx'] }),
+      { content: '', tool_calls: [{ name: 'cat', arguments: { files: ['src/App.jsx'] } }] },
+      JSON.stringify({
+        reasoning: 'Greet in English',
+        changes: [{ type: 'edit', file: 'src/App.jsx', edits: [{ search: '<h1>Hello</h1>', replace: '<h1>Hi there</h1>' }] }]
+      })
+    ]
+  });
+});
+
+after(() => server && server.stop());
+
+test('an agent run with the mock provider proposes a changeset for review', async () => {
+  const { status, body } = await server.request('POST', '/v1/projects/demo/agent', { task: 'Say hi there' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.steps, 2);
+  assert.deepStrictEqual(body.transcript[0].tool_calls.map(call => call.function.name), ['cat']);
+
+  const changeset = await server.request('GET', `/v1/projects/demo/changesets/${body.changeset_id}`);
+  assert.strictEqual(changeset.body.status, 'pending');
+  assert.deepStrictEqual(changeset.body.changes, [
+    { type: 'update', file: 'src/App.jsx', content: APP.replace('Hello', 'Hi there') }
+  ]);
+});
+
+test('an agent run without a task is rejected', async () => {
+  for (const task of [undefined, 42, '  ']) {
+    const { status, body } = await server.request('POST', '/v1/projects/demo/agent', { task });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'task is required');
+  }
+});
+
+test('a chat request without a message is rejected', async () => {
+  const { status, body } = await server.request('POST', '/v1/projects/demo/chat', {});
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'message is required');
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const APP = `export default function App() {
+  return <h1>Hello</h1>;
+}
+`;
+
+let server;
+let changesetId;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'README.md': '# Demo\n\nA demo app.\n',
+      'src/App.jsx': APP
+    },
+    responses: [
+      JSON.stringify({ understanding: [], planning: [], execution: [] }),
+      JSON.stringify({
+        reasoning: 'Greet the world',
+        changes: [{ type: 'update', file: 'src/App.jsx', content: APP.replace('Hello', 'Hello, world') }]
+      })
+    ]
+  });
+
+  const { status, body } = await server.request('POST', '/v1/projects/demo/agent', { task: 'Greet the world' });
+  assert.strictEqual(status, 200);
+  changesetId = body.changeset_id;
+  assert.ok(changesetId, 'the run proposes a changeset');
+});
+
+after(() => server && server.stop());
+
+const patch = (changes) => server.request('PATCH', `/v1/projects/demo/changesets/${changesetId}`, { changes });
+
+test('an edits-only entry is applied as search/replace edits', async () => {
+  const { status, body } = await patch([
+    { file: 'README.md', edits: [{ search: 'A demo app.', replace: 'A demo app, reviewed.' }] }
+  ]);
+
+  assert.strictEqual(status, 200);
+  const readme = body.changes.find(change => change.file === 'README.md');
+  assert.strictEqual(readme.content, '# Demo\n\nA demo app, reviewed.\n');
+});
+
+test('a diff-only entry is applied on top of the proposed content', async () => {
+  const diff = [
+    '--- src/App.jsx',
+    '+++ src/App.jsx',
+    '@@ -1,3 +1,3 @@',
+    ' export default function App() {',
+    '-  return <h1>Hello, world</h1>;',
+    '+  return <h1>Hello, reviewer</h1>;',
+    ' }',
+    ''
+  ].join('\n');
+  const { status, body } = await patch([{ file: 'src/App.jsx', diff }]);
+
+  assert.strictEqual(status, 200);
+  const app = body.changes.find(change => change.file === 'src/App.jsx');
+  assert.strictEqual(app.content, APP.replace('Hello', 'Hello, reviewer'));
+});
+
+test('an entry without content, edits or diff is rejected', async () => {
+  const { status } = await patch([{ file: 'README.md' }]);
+  assert.strictEqual(status, 400);
+
+  const { body } = await server.request('GET', `/v1/projects/demo/changesets/${changesetId}`);
+  const readme = body.changes.find(change => change.file === 'README.md');
+  assert.strictEqual(readme.content, '# Demo\n\nA demo app, reviewed.\n');
+});
@@ -0,0 +1,49 @@
+// Preloaded into the server under test (node --require): answers the GitHub REST calls of
+// workspace loading from the repository described in FAKE_GITHUB_REPO, read-only.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { owner, repo, branch, files } = JSON.parse(fs.readFileSync(process.env.FAKE_GITHUB_REPO, 'utf8'));
+
+const blobs = {};
+const tree = Object.entries(files).map(([path, content]) => {
+  const sha = crypto.createHash('sha1').update(`blob ${Buffer.byteLength(content)}\0${content}`).digest('hex');
+  blobs[sha] = content;
+  return { path, mode: '100644', type: 'blob', sha, size: Buffer.byteLength(content) };
+});
+const treeSha = crypto.createHash('sha1').update(JSON.stringify(tree)).digest('hex');
+const headSha = crypto.createHash('sha1').update(treeSha).digest('hex');
+
+const routes = [
+  [/^\/repos\/[^/]+\/[^/]+$/, () => ({ name: repo, full_name: `${owner}/${repo}`, default_branch: branch })],
+  [/\/commits\/([^/]+)$/, () => ({ sha: headSha, commit: { tree: { sha: treeSha } } })],
+  [/\/git\/ref\/(.+)$/, () => ({ ref: `refs/heads/${branch}`, object: { sha: headSha, type: 'commit' } })],
+  [/\/git\/commits\/([^/]+)$/, () => ({ sha: headSha, tree: { sha: treeSha } })],
+  [/\/git\/trees\/([^/]+)$/, () => ({ sha: treeSha, tree, truncated: false })],
+  [/\/git\/blobs\/([^/]+)$/, ([sha]) => blobs[sha] === undefined ? null : {
+    sha, content: Buffer.from(blobs[sha]).toString('base64'), encoding: 'base64'
+  }]
+];
+
+const json = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json' }
+});
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  if (url.hostname !== 'api.github.com') return realFetch(input, init);
+
+  const method = (init.method || 'GET').toUpperCase();
+  const path = decodeURIComponent(url.pathname);
+  if (method === 'GET') {
+    for (const [pattern, handler] of routes) {
+      const match = path.match(pattern);
+      if (!match) continue;
+      const body = handler(match.slice(1));
+      if (body) return json(200, body);
+    }
+  }
+  return json(404, { message: 'Not Found' });
+};
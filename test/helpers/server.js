@@ -0,0 +1,92 @@
+// Starts server.js in a child process against a throwaway data directory (seeded with the
+// demo project and any other `tables` rows), the mock LLM provider with scripted replies,
+// and the fake GitHub repository of test/helpers/fake-github.js
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PROJECT_ID = '11111111-1111-4111-8111-111111111111';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startServer = async ({ files = {}, responses = [], tables = {} } = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refact-test-'));
+  fs.mkdirSync(path.join(dir, 'db'));
+  fs.writeFileSync(path.join(dir, 'db', 'projects.json'), JSON.stringify([{
+    id: PROJECT_ID,
+    slug: 'demo',
+    name: 'Demo',
+    owner: 'octo',
+    repo_name: 'demo',
+    github_repo: 'https://github.com/octo/demo',
+    created_at: new Date().toISOString()
+  }]));
+  for (const [table, rows] of Object.entries(tables)) {
+    fs.writeFileSync(path.join(dir, 'db', `${table}.json`), JSON.stringify(rows));
+  }
+  fs.writeFileSync(path.join(dir, 'repo.json'), JSON.stringify({ owner: 'octo', repo: 'demo', branch: 'main', files }));
+  fs.writeFileSync(path.join(dir, 'responses.json'), JSON.stringify(responses));
+
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    AUTH_DISABLED: 'true',
+    AI_PROVIDER: 'mock',
+    MOCK_LLM_RESPONSES: path.join(dir, 'responses.json'),
+    STORAGE_BACKEND: 'local',
+    STORAGE_DIR: path.join(dir, 'db'),
+    WORKSPACE_STORE: 'local',
+    WORKSPACE_DIR: path.join(dir, 'workspaces'),
+    FAKE_GITHUB_REPO: path.join(dir, 'repo.json')
+  };
+  delete env.SUPABASE_URL;
+
+  const child = spawn(process.execPath, ['--require', path.join(__dirname, 'fake-github.js'), 'server.js'], {
+    cwd: ROOT,
+    env,
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`http://127.0.0.1:${port}${url}`, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await request('GET', '/health');
+      break;
+    } catch (error) {
+      if (attempt >= 50 || child.exitCode !== null) {
+        stop();
+        throw new Error(`Server did not start: ${error.message}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return { request, stop, projectId: PROJECT_ID };
+};
+
+module.exports = { startServer, PROJECT_ID };
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, PROJECT_ID } = require('./helpers/server');
+
+const SESSION_ID = '22222222-2222-4222-8222-222222222222';
+
+// A user message and its reply saved in the same millisecond, three turns in a row
+const MESSAGES = [0, 1, 2].flatMap(turn => {
+  const timestamp = new Date(Date.UTC(2026, 9, 19, 12, turn)).toISOString();
+  return [
+    { id: `00000000-0000-4000-8000-00000000000${turn}`, session_id: SESSION_ID, role: 'user', content: `question ${turn}`, timestamp },
+    { id: `ffffffff-0000-4000-8000-00000000000${turn}`, session_id: SESSION_ID, role: 'assistant', content: `answer ${turn}`, timestamp }
+  ];
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    tables: {
+      chat_sessions: [{ id: SESSION_ID, project_id: PROJECT_ID, session_name: 'Paging', created_at: MESSAGES[0].timestamp }],
+      chat_messages: MESSAGES
+    }
+  });
+});
+
+after(() => server && server.stop());
+
+test('paging through messages that share a timestamp returns each message once', async () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const query = cursor ? `&cursor=${cursor}` : '';
+    const { status, body } = await server.request('GET', `/v1/projects/demo/sessions/${SESSION_ID}/messages?limit=1${query}`);
+    assert.strictEqual(status, 200);
+    seen.unshift(...body.messages.map(message => message.content));
+    cursor = body.next_cursor;
+  } while (cursor);
+
+  assert.deepStrictEqual(seen, MESSAGES.map(message => message.content));
+});
+
+test('a malformed cursor is rejected', async () => {
+  const { status } = await server.request('GET', `/v1/projects/demo/sessions/${SESSION_ID}/messages?cursor=bm90LWpzb24`);
+  assert.strictEqual(status, 400);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// Resolved through a bundler alias and a workspace-hoisted package, neither of which
+// the validator can see
+const APP = `import { sum } from 'lodash';
+import Button from 'components/Button';
+
+export default function App() {
+  return <Button>{sum([1, 2])}</Button>;
+}
+`;
+
+let server;
+let run;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'package.json': JSON.stringify({ dependencies: { react: '^18.0.0' } }),
+      'src/App.jsx': APP,
+      'src/components/Button.jsx': 'export default function Button(props) {\n  return <button {...props} />;\n}\n'
+    },
+    responses: [
+      JSON.stringify({ understanding: [], planning: [], execution: [] }),
+      JSON.stringify({
+        reasoning: 'Add three and a padding helper',
+        changes: [
+          { type: 'update', file: 'src/App.jsx', content: APP.replace('[1, 2]', '[1, 2, 3]') },
+          { type: 'update', file: 'src/pad.js', content: "import leftPad from 'left-pad';\n\nexport const pad = (value) => leftPad(value, 4);\n" }
+        ]
+      })
+    ]
+  });
+
+  const { status, body } = await server.request('POST', '/v1/projects/demo/agent', { task: 'Sum three numbers' });
+  assert.strictEqual(status, 200);
+  run = body;
+});
+
+after(() => server && server.stop());
+
+test('imports a file already had do not block an edit that keeps them', async () => {
+  const { body } = await server.request('GET', `/v1/projects/demo/changesets/${run.changeset_id}`);
+  const app = body.changes.find(change => change.file === 'src/App.jsx');
+  assert.ok(app, 'src/App.jsx stays in the changeset');
+  assert.strictEqual(app.content, APP.replace('[1, 2]', '[1, 2, 3]'));
+});
+
+test('a newly added import of an undeclared package is still rejected', async () => {
+  const { body } = await server.request('GET', `/v1/projects/demo/changesets/${run.changeset_id}`);
+  assert.ok(!body.changes.some(change => change.file === 'src/pad.js'));
+  assert.ok(run.validation_issues.some(issue => issue.file === 'src/pad.js' && issue.type === 'dependency'));
+});